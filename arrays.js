@@ -0,0 +1,11 @@
+// Plain Arrays in the layouts of gl-matrix's types, for the modules to
+// allocate with instead of gl-matrix's create(): its default Float32Array
+// keeps only about 7 significant digits, and the global array type is the
+// importer's to set. Results are then in double precision and the same in
+// the page and in Node
+
+export const newVec3 = () => [0, 0, 0];
+export const newVec4 = () => [0, 0, 0, 0];
+export const newQuat = () => [0, 0, 0, 1];
+export const newMat3 = () => [1, 0, 0, 0, 1, 0, 0, 0, 1];
+export const newMat4 = () => [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
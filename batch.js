@@ -0,0 +1,250 @@
+// Batch conversion of rotation lists in delimited text (CSV, TSV, ...)
+
+import {
+  REPRESENTATION_SIZES,
+  getConventions,
+  matrixIndex,
+  toQuaternion,
+  fromQuaternion,
+} from "./conversion.js";
+
+export const DELIMITERS = {
+  comma: ",",
+  tab: "\t",
+  semicolon: ";",
+  whitespace: null, // runs of spaces or tabs
+};
+
+// Picks the delimiter of the first non-blank line: tabs win over semicolons
+// over commas, and whitespace is the fallback for plain number lists
+export function detectDelimiter(text) {
+  const line = text.split(/\r?\n/).find((l) => l.trim() !== "") || "";
+  if (line.includes("\t")) {
+    return "tab";
+  } else if (line.includes(";")) {
+    return "semicolon";
+  } else if (line.includes(",")) {
+    return "comma";
+  }
+  return "whitespace";
+}
+
+// Splits one line on a single-character delimiter, honouring double-quoted
+// fields ("a, b" and "say ""hi""")
+function splitQuoted(line, sep) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; ++i) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        ++i;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === sep) {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells.map((v) => v.trim());
+}
+
+// Splits text into rows of cells, skipping blank lines and # comments
+// Each row keeps its 1-based line number for error reports
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  if (!(delimiter in DELIMITERS)) {
+    throw new Error(`parseDelimited: unknown delimiter "${delimiter}"`);
+  }
+  const sep = DELIMITERS[delimiter];
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, n) => {
+    if (line.trim() === "" || line.trim().startsWith("#")) {
+      return;
+    }
+    const cells =
+      sep === null ? line.trim().split(/\s+/) : splitQuoted(line, sep);
+    rows.push({ line: n + 1, cells });
+  });
+  return rows;
+}
+
+// A first row with a cell that is not a value is taken for a header;
+// parseValue is the one the rows are converted with
+export function looksLikeHeader(cells, parseValue = parseNumber) {
+  return cells.some((cell) => {
+    if (cell === "") return true;
+    try {
+      parseValue(cell);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+}
+
+// Resolves a column spec to 0-based column indices. The spec lists 1-based
+// column numbers, ranges such as 2-5, or header names, separated by commas;
+// an empty spec takes the first count columns
+export function resolveColumns(spec, header, count) {
+  if (spec.trim() === "") {
+    return Array.from({ length: count }, (_, i) => i);
+  }
+  const names = (header || []).map((name) => name.toLowerCase());
+  const columns = [];
+  spec.split(",").forEach((token) => {
+    const t = token.trim();
+    const range = t.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const [first, last] = [Number(range[1]), Number(range[2])];
+      if (first < 1 || last < first) {
+        throw new Error(`Invalid column range: ${t}`);
+      }
+      for (let c = first; c <= last; ++c) {
+        columns.push(c - 1);
+      }
+    } else if (/^\d+$/.test(t)) {
+      if (Number(t) < 1) {
+        throw new Error(`Invalid column number: ${t}`);
+      }
+      columns.push(Number(t) - 1);
+    } else {
+      const index = names.indexOf(t.toLowerCase());
+      if (index < 0) {
+        throw new Error(`No column named ${t}`);
+      }
+      columns.push(index);
+    }
+  });
+  if (columns.length !== count) {
+    throw new Error(`Expected ${count} columns, got ${columns.length}`);
+  }
+  return columns;
+}
+
+// Converts every row from one representation to another. spec holds
+// input: { type, options, columns } and output: { type, options }, with the
+// options of toQuaternion / fromQuaternion. parseValue turns a cell into a
+// number and throws for invalid ones.
+// Rows that fail keep their error message instead of a quaternion, so one
+// bad row does not stop the batch
+export function convertRows(rows, spec, parseValue = parseNumber) {
+  const { input, output } = spec;
+  return rows.map(({ line, cells }) => {
+    const result = { line, cells };
+    try {
+      const values = input.columns.map((c) => {
+        if (c >= cells.length || cells[c] === "") {
+          throw new Error(`missing value in column ${c + 1}`);
+        }
+        return parseValue(cells[c]);
+      });
+      result.q = toQuaternion(input.type, values, input.options);
+      result.values = fromQuaternion(output.type, result.q, output.options);
+    } catch (e) {
+      result.error = e.message;
+      delete result.q;
+    }
+    return result;
+  });
+}
+
+function parseNumber(cell) {
+  const value = Number(cell);
+  if (isNaN(value)) {
+    throw new Error(`invalid value ${cell}`);
+  }
+  return value;
+}
+
+// Column names of the values of a representation, in the order
+// fromQuaternion returns them
+export function representationColumns(type, options = {}) {
+  if (!(type in REPRESENTATION_SIZES)) {
+    throw new Error(`representationColumns: unknown representation "${type}"`);
+  }
+  if (type === "axis-angle") {
+    return ["axis_x", "axis_y", "axis_z", "angle"];
+  } else if (type === "euler") {
+    const order = options.order || "ZYX";
+    return order.split("").map((axis, n) => `euler${n + 1}_${axis}`);
+  } else if (type === "quaternion") {
+    return (options.order || "xyzw").split("").map((c) => `q${c}`);
+  } else if (type === "matrix") {
+    const names = new Array(9);
+    for (let i = 0; i < 3; ++i) {
+      for (let j = 0; j < 3; ++j) {
+        names[matrixIndex(i, j)] = `m${i}${j}`;
+      }
+    }
+    return names;
+  } else if (type === "6d") {
+    return ["a1_x", "a1_y", "a1_z", "a2_x", "a2_y", "a2_z"];
+  }
+  const prefix = { "rotation-vector": "rotvec", gibbs: "gibbs", mrp: "mrp" };
+  return ["x", "y", "z"].map((c) => `${prefix[type]}_${c}`);
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV of the input cells followed by the converted values, at full
+// precision, and an error column; header names the input columns
+export function resultsToCSV(results, header, spec) {
+  const width = Math.max(
+    header ? header.length : 0,
+    ...results.map((r) => r.cells.length)
+  );
+  const inputNames = Array.from(
+    { length: width },
+    (_, c) => (header && header[c]) || `column${c + 1}`
+  );
+  const outputNames = representationColumns(
+    spec.output.type,
+    spec.output.options
+  );
+  const lines = [inputNames.concat(outputNames, ["error"])];
+  results.forEach((r) => {
+    const cells = Array.from({ length: width }, (_, c) =>
+      c < r.cells.length ? r.cells[c] : ""
+    );
+    const values = r.values || outputNames.map(() => "");
+    lines.push(cells.concat(values, [r.error || ""]));
+  });
+  return lines.map((line) => line.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// JSON with the settings of the batch (columns numbered from 1) and one
+// entry per row: the converted values, or the error
+export function resultsToJSON(results, spec) {
+  const rows = results.map((r) =>
+    r.error
+      ? { line: r.line, error: r.error }
+      : { line: r.line, values: r.values }
+  );
+  const output = {
+    ...spec.output,
+    columns: representationColumns(spec.output.type, spec.output.options),
+  };
+  return JSON.stringify(
+    {
+      conventions: getConventions(),
+      input: { ...spec.input, columns: spec.input.columns.map((c) => c + 1) },
+      output,
+      rows,
+    },
+    null,
+    2
+  );
+}
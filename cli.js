@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Command-line converter: prints a rotation in the other representations,
+// with the same conversions and formatting as the page
+
+import { parseArgs } from "node:util";
+import { evaluate } from "mathjs";
+import {
+  REPRESENTATION_SIZES,
+  setConventions,
+  quaternionConventionLabel,
+  quaternionFromConvention,
+  toQuaternion,
+  fromQuaternion,
+} from "./conversion.js";
+import { formatVec, formatMatrix, formatSixD } from "./format.js";
+
+const USAGE = `Usage: rotation-calc <representation> <values...> [options]
+
+Converts a rotation to the other representations. Values are math
+expressions such as pi/4 or sqrt(2)/2, separated by spaces or commas.
+
+Representations:
+  axis-angle       x y z angle
+  euler            angles about the 1st, 2nd and 3rd axis of --order
+  quaternion       4 components in --quat-order
+  matrix           9 values, flat in --layout
+  rotation-vector  x y z (axis * angle)
+  gibbs            x y z (axis * tan(angle / 2))
+  mrp              x y z (axis * tan(angle / 4))
+  6d               first two matrix columns
+
+Options:
+  --unit deg|rad                 input angle unit (default deg)
+  --out-unit deg|rad             output angle unit (default --unit)
+  --order ZYX                    Euler sequence (default ZYX)
+  --frame intrinsic|extrinsic    Euler frame (default intrinsic)
+  --quat-order xyzw|wxyz         quaternion component order (default xyzw)
+  --algebra hamilton|jpl         quaternion algebra (default hamilton)
+  --sense active|passive         rotation sense (default active)
+  --layout column|row            flat matrix layout (default column)
+  --quat-sign w|first|reference  quaternion sign: w >= 0, first nonzero of
+                                 Hamilton x, y, z, w > 0 or closest to
+                                 --reference (default w)
+  --reference x,y,z,w            reference quaternion (default 0,0,0,1)
+  --to <a,b,...>                 representations to print (default: others)
+  --json                         print JSON with full precision
+  -h, --help                     show this help`;
+
+const OPTIONS = {
+  unit: { type: "string", default: "deg" },
+  "out-unit": { type: "string" },
+  order: { type: "string", default: "ZYX" },
+  frame: { type: "string", default: "intrinsic" },
+  "quat-order": { type: "string", default: "xyzw" },
+  algebra: { type: "string", default: "hamilton" },
+  sense: { type: "string", default: "active" },
+  layout: { type: "string", default: "column" },
+  "quat-sign": { type: "string", default: "w" },
+  reference: { type: "string", default: "0,0,0,1" },
+  to: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Settings passed to toQuaternion / fromQuaternion for a representation
+function representationOptions(type, opts, degOrRad) {
+  if (type === "euler") {
+    return { degOrRad, order: opts.order, frame: opts.frame };
+  } else if (type === "quaternion") {
+    return { order: opts["quat-order"], algebra: opts.algebra };
+  }
+  return { degOrRad };
+}
+
+function heading(type, opts, degOrRad) {
+  const headings = {
+    "axis-angle": `Axis-Angle (x, y, z, θ ${degOrRad})`,
+    euler: `Euler Angles (${opts.frame} ${opts.order}, ${degOrRad})`,
+    quaternion: `Quaternion ${quaternionConventionLabel(
+      opts["quat-order"],
+      opts.algebra
+    )}`,
+    matrix: `Rotation Matrix`,
+    "rotation-vector": `Rotation Vector (${degOrRad})`,
+    gibbs: "Gibbs Vector",
+    mrp: "Modified Rodrigues Parameters",
+    "6d": "6D Representation",
+  };
+  return headings[type];
+}
+
+function formatRepresentation(type, values, degOrRad) {
+  if (type === "matrix") {
+    return formatMatrix(values);
+  } else if (type === "6d") {
+    return formatSixD(values);
+  } else if (type === "axis-angle") {
+    return formatVec(values, degOrRad === "deg" ? [4, 4, 4, 2] : 4);
+  } else if (type === "euler" || type === "rotation-vector") {
+    return formatVec(values, degOrRad === "deg" ? 2 : 4);
+  }
+  return formatVec(values);
+}
+
+// Values may be given as separate arguments, comma-separated, or both
+function parseValues(args) {
+  return args
+    .join(",")
+    .split(",")
+    .map((raw) => raw.trim())
+    .filter((raw) => raw !== "")
+    .map((raw) => {
+      let value;
+      try {
+        value = evaluate(raw);
+      } catch (e) {
+        throw new Error(`Invalid input: ${raw}`);
+      }
+      if (typeof value !== "number") {
+        throw new Error(`Invalid input: ${raw} is not a real number`);
+      }
+      return value;
+    });
+}
+
+function main(argv) {
+  // parseArgs reads a negative value such as -1 as an option, so values
+  // starting with a single dash are shielded by a leading space
+  const args = argv.map((arg) => (/^-(?!-|h$)/.test(arg) ? ` ${arg}` : arg));
+  const { values: opts, positionals } = parseArgs({
+    args,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  if (opts.help || positionals.length === 0) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const [type, ...rest] = positionals;
+  if (!(type in REPRESENTATION_SIZES)) {
+    throw new Error(`Unknown rotation representation: ${type}`);
+  }
+  const outUnit = opts["out-unit"] || opts.unit;
+  setConventions({
+    sense: opts.sense,
+    layout: opts.layout,
+    quatSign: opts["quat-sign"],
+  });
+  // the reference is in the sense just set
+  const reference = parseValues([opts.reference]);
+  if (reference.length !== 4) {
+    throw new Error(`--reference needs 4 values, got ${reference.length}`);
+  }
+  setConventions({ quatReference: quaternionFromConvention(reference) });
+
+  const q = toQuaternion(
+    type,
+    parseValues(rest),
+    representationOptions(type, opts, opts.unit)
+  );
+
+  const targets = opts.to
+    ? opts.to.split(",").map((t) => t.trim())
+    : Object.keys(REPRESENTATION_SIZES).filter((t) => t !== type);
+  const outputs = {};
+  const errors = {};
+  targets.forEach((target) => {
+    if (!(target in REPRESENTATION_SIZES)) {
+      throw new Error(`Unknown rotation representation: ${target}`);
+    }
+    try {
+      outputs[target] = fromQuaternion(
+        target,
+        q,
+        representationOptions(target, opts, outUnit)
+      );
+    } catch (e) {
+      // e.g. the Gibbs vector of a 180 deg rotation is infinite
+      outputs[target] = null;
+      errors[target] = e.message;
+    }
+  });
+
+  if (opts.json) {
+    const result = { outputs };
+    if (Object.keys(errors).length > 0) {
+      result.errors = errors;
+    }
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+  const sections = targets.map((target) => {
+    const body =
+      outputs[target] === null
+        ? `undefined: ${errors[target]}`
+        : formatRepresentation(target, outputs[target], outUnit);
+    return `${heading(target, opts, outUnit)}\n${body}`;
+  });
+  console.log(sections.join("\n\n"));
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+  console.error(`rotation-calc: ${e.message}`);
+  process.exitCode = 1;
+}
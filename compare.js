@@ -0,0 +1,54 @@
+// Distances between two rotations, e.g. an estimate and its ground truth
+// Rotations are active gl-matrix quats; the relative rotation q2 q1^-1 turns
+// the first into the second about axes of the fixed frame
+
+import { quat, mat3 } from "gl-matrix";
+import { quaternionToEuler } from "./conversion.js";
+import { newQuat, newMat3 } from "./arrays.js";
+
+export function relativeRotation(out, q1, q2) {
+  const inverse = quat.invert(newQuat(), q1);
+  quat.multiply(out, q2, inverse);
+  return quat.normalize(out, out);
+}
+
+// geodesic: angle of the relative rotation (rad), from 0 to pi
+// chordal: Frobenius norm of R1 - R2, 2 sqrt(2) sin(geodesic / 2), up to
+// 2 sqrt(2)
+// quaternion: 1 - |q1 . q2|, from 0 to 1, the same for q and -q
+export function rotationDistances(q1, q2) {
+  const a = quat.normalize(newQuat(), q1);
+  const b = quat.normalize(newQuat(), q2);
+  const dot = Math.min(1, Math.abs(quat.dot(a, b)));
+  // atan2 keeps small angles accurate, where acos(dot) loses them
+  const relative = relativeRotation(newQuat(), a, b);
+  const sin = Math.hypot(relative[0], relative[1], relative[2]);
+  const r1 = mat3.fromQuat(newMat3(), a);
+  const r2 = mat3.fromQuat(newMat3(), b);
+  return {
+    geodesic: 2 * Math.atan2(sin, Math.abs(relative[3])),
+    chordal: mat3.frob(mat3.subtract(r1, r1, r2)),
+    quaternion: 1 - dot,
+  };
+}
+
+// Euler angles of q2 minus those of q1, each wrapped to half a turn either
+// way; the arguments are those of quaternionToEuler. Near gimbal lock the
+// outer angles are ill-conditioned, and so are their differences
+export function eulerDifferences(
+  out,
+  q1,
+  q2,
+  degOrRad,
+  order = "ZYX",
+  frame = "intrinsic"
+) {
+  const e1 = quaternionToEuler([], q1, degOrRad, order, frame);
+  const e2 = quaternionToEuler([], q2, degOrRad, order, frame);
+  const turn = degOrRad === "deg" ? 360 : 2 * Math.PI;
+  for (let i = 0; i < 3; ++i) {
+    const d = e2[i] - e1[i];
+    out[i] = d - turn * Math.round(d / turn);
+  }
+  return out;
+}
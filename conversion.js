@@ -1,47 +1,374 @@
-"use strict";
+import { glMatrix, vec3, quat, mat3 } from "gl-matrix";
+import { newVec3, newVec4, newQuat, newMat3 } from "./arrays.js";
+
+const glm = glMatrix;
+
+// Conventions honored by every conversion in this file
+// sense: "active" rotations rotate vectors within a fixed frame, "passive"
+// rotations transform coordinates into the rotated frame, i.e. they are the
+// inverse of the active rotation. Quaternions returned by the *ToQuaternion
+// functions and taken by the quaternionTo* functions are always active
+// gl-matrix quats; every representation is read and written in the current
+// sense, including the quaternion representation (see quaternionToConvention)
+// layout: storage order of flat 3x3 matrices, "column"-major as gl-matrix's
+// mat3 or "row"-major as C arrays
+// handedness: whether the axes are "right"- or "left"-handed, as in most game
+// engines. A rotation has the same matrix, quaternion and angles in either;
+// in left-handed axes positive angles turn by the left-hand rule. Changing
+// the handedness of the axes themselves is a change of frame (see frames.js)
+// quatSign: which of q and -q, the same rotation, quaternion outputs give:
+// "w" keeps w >= 0, "first" makes the first nonzero of x, y, z, w positive
+// and "reference" keeps the one closest to quatReference, an active quat,
+// i.e. with q . reference >= 0. Ties fall back to the first nonzero
+// component. The components are those of the Hamilton quat in the current
+// sense, before quaternionToConvention reorders or conjugates them, so that
+// the sign also picks the axis-angle, as q and -q have opposite axes and
+// angles that add up to 360 deg
+const conventions = {
+  sense: "active",
+  layout: "column",
+  handedness: "right",
+  quatSign: "w",
+  quatReference: [0, 0, 0, 1],
+};
+
+export const QUATERNION_SIGNS = ["w", "first", "reference"];
+
+export function setConventions({
+  sense = conventions.sense,
+  layout = conventions.layout,
+  handedness = conventions.handedness,
+  quatSign = conventions.quatSign,
+  quatReference = conventions.quatReference,
+}) {
+  if (sense !== "active" && sense !== "passive") {
+    throw new Error('setConventions: sense must be "active" or "passive"');
+  }
+  if (layout !== "column" && layout !== "row") {
+    throw new Error('setConventions: layout must be "column" or "row"');
+  }
+  if (handedness !== "right" && handedness !== "left") {
+    throw new Error('setConventions: handedness must be "right" or "left"');
+  }
+  if (!QUATERNION_SIGNS.includes(quatSign)) {
+    throw new Error(
+      'setConventions: quatSign must be "w", "first" or "reference"'
+    );
+  }
+  if (
+    quatReference.length !== 4 ||
+    !Array.from(quatReference).every(Number.isFinite) ||
+    quat.length(quatReference) === 0
+  ) {
+    throw new Error("setConventions: quatReference must be a nonzero quat");
+  }
+  conventions.sense = sense;
+  conventions.layout = layout;
+  conventions.handedness = handedness;
+  conventions.quatSign = quatSign;
+  conventions.quatReference = quat.normalize([], quatReference);
+}
+
+// Copy of the current conventions
+export function getConventions() {
+  return {
+    ...conventions,
+    quatReference: Array.from(conventions.quatReference),
+  };
+}
+
+// Runs fn with some conventions changed and restores them afterwards, for
+// callers that need values in fixed conventions; returns what fn returns
+export function withConventions(changes, fn) {
+  const saved = getConventions();
+  setConventions({ ...saved, ...changes });
+  try {
+    return fn();
+  } finally {
+    setConventions(saved);
+  }
+}
+
+// Components within this of zero count as zero for the quaternion sign
+const QUAT_SIGN_EPS = 1e-9;
+
+// q, a quat in the current sense, or -q, by the quatSign convention
+function applyQuatSign(out, q) {
+  let d = 0;
+  if (conventions.quatSign === "w") {
+    d = q[3];
+  } else if (conventions.quatSign === "reference") {
+    d = quat.dot(applySense(newQuat(), q), conventions.quatReference);
+  }
+  if (Math.abs(d) <= QUAT_SIGN_EPS) {
+    d = Array.from(q).find((c) => Math.abs(c) > QUAT_SIGN_EPS) || 0;
+  }
+  return quat.scale(out, q, d < 0 ? -1 : 1);
+}
+
+// Converts between an active quat and a quat in the current sense; the
+// conversion is its own inverse
+function applySense(out, q) {
+  if (conventions.sense === "passive") {
+    return quat.conjugate(out, q);
+  }
+  return quat.copy(out, q);
+}
+
+// Converts a flat 3x3 matrix between the current layout and column-major; the
+// conversion is its own inverse
+function applyLayout(out, m) {
+  if (conventions.layout === "row") {
+    return mat3.transpose(out, m);
+  }
+  return mat3.copy(out, m);
+}
+
+// Index of the element at row i, column j of a flat matrix in the current
+// layout
+export function matrixIndex(i, j) {
+  return conventions.layout === "row" ? i * 3 + j : j * 3 + i;
+}
+
+// Supported Euler sequences, named by the axes in the order they are applied.
+// Tait-Bryan sequences use three distinct axes, proper Euler sequences repeat
+// the first axis.
+export const TAIT_BRYAN_ORDERS = ["XYZ", "XZY", "YXZ", "YZX", "ZXY", "ZYX"];
+export const PROPER_EULER_ORDERS = ["XYX", "XZX", "YXY", "YZY", "ZXZ", "ZYZ"];
+export const EULER_ORDERS = TAIT_BRYAN_ORDERS.concat(PROPER_EULER_ORDERS);
+// Middle angle tolerance (rad) under which the outer angles are treated as
+// coupled; loose enough to absorb the rounding of values typed with a few
+// decimals and of quaternions in gl-matrix's default Float32Array
+export const GIMBAL_LOCK_EPS = 1e-6;
+
+function checkEulerOrder(fnName, order, frame) {
+  if (!EULER_ORDERS.includes(order)) {
+    throw new Error(`${fnName}: unsupported Euler order "${order}"`);
+  }
+  if (frame !== "intrinsic" && frame !== "extrinsic") {
+    throw new Error(`${fnName}: frame must be "intrinsic" or "extrinsic"`);
+  }
+}
+
+// Elemental rotation of angle (rad) about the named axis ("X", "Y" or "Z")
+function elementalQuaternion(out, axisName, angle) {
+  const axis = newVec3();
+  axis["XYZ".indexOf(axisName)] = 1;
+  return quat.setAxisAngle(out, axis, angle);
+}
+
+// Solves the angles at gimbal lock, where the middle angle (rad) is known and
+// the outer angles are coupled. lockedAngle picks the outer angle ("first" or
+// "third") that takes the whole remaining rotation; the other one is set to 0
+function lockedEulerAngles(q, middle, order, frame, lockedAngle) {
+  const qMiddle = elementalQuaternion(newQuat(), order[1], middle);
+  quat.invert(qMiddle, qMiddle);
+  const qOuter = newQuat();
+  if (lockedAngle === "first") {
+    // q = q1 * q2 (intrinsic) or q2 * q1 (extrinsic)
+    if (frame === "intrinsic") {
+      quat.multiply(qOuter, q, qMiddle);
+    } else {
+      quat.multiply(qOuter, qMiddle, q);
+    }
+    const first = 2 * Math.atan2(qOuter["XYZ".indexOf(order[0])], qOuter[3]);
+    return [first, middle, 0];
+  } else if (lockedAngle === "third") {
+    // q = q2 * q3 (intrinsic) or q3 * q2 (extrinsic)
+    if (frame === "intrinsic") {
+      quat.multiply(qOuter, qMiddle, q);
+    } else {
+      quat.multiply(qOuter, q, qMiddle);
+    }
+    const third = 2 * Math.atan2(qOuter["XYZ".indexOf(order[2])], qOuter[3]);
+    return [0, middle, third];
+  }
+  throw new Error('lockedEulerAngles: lockedAngle must be "first" or "third"');
+}
+
+// Angular distance of the middle angle from its gimbal lock value, in the
+// unit of the angles: +-90 deg for Tait-Bryan, 0 or 180 deg for proper Euler
+export function eulerGimbalDistance(middle, order, degOrRad) {
+  const half = degOrRad === "deg" ? 90 : Math.PI / 2;
+  const m = Math.abs(middle);
+  if (TAIT_BRYAN_ORDERS.includes(order)) {
+    return Math.abs(half - m);
+  }
+  return Math.min(m, 2 * half - m);
+}
+
+// out is a vec3 to receive the second valid set of angles for the same
+// rotation, angles is a vec3 as returned by quaternionToEuler
+// Away from gimbal lock every rotation has exactly two Euler triplets:
+// (a + 180, 180 - b, c + 180) for Tait-Bryan, (a + 180, -b, c + 180) for
+// proper Euler sequences
+export function alternateEuler(out, angles, order, degOrRad) {
+  const half = degOrRad === "deg" ? 180 : Math.PI;
+  const wrap = (v) => (v > half ? v - 2 * half : v <= -half ? v + 2 * half : v);
+  out[0] = wrap(angles[0] + half);
+  if (TAIT_BRYAN_ORDERS.includes(order)) {
+    out[1] = wrap(half - angles[1]);
+  } else {
+    out[1] = -angles[1];
+  }
+  out[2] = wrap(angles[2] + half);
+  return out;
+}
 
 // out is a vec3 to receive the result
-// quat is a quat [x, y, z, w]
+// activeQ is a quat [x, y, z, w]
 // degOrRad is "deg" or "rad"
-// defaulting to zyx order
-// TODO: support different Tait-Bryan orders
-function quaternionToEuler(out, quat, degOrRad, order = "ZYX") {
-  const [x, y, z, w] = quat;
-  // NOTE: alpha, beta, gamma here are not used in the same order as in Euler angle input,
-  // which follows the intrinsic Tait-Bryan order
-
-  // alpha (X-axis rotation)
-  const sinr_cosp = 2 * (w * x + y * z);
-  const cosr_cosp = 1 - 2 * (x * x + y * y);
-  const alpha = Math.atan2(sinr_cosp, cosr_cosp);
-  // beta (Y-axis rotation)
-  const sinp = 2 * (w * y - z * x);
-  let beta;
-  if (Math.abs(sinp) >= 1) {
-    beta = Math.sign(sinp) * (Math.PI / 2); // clamp
+// order is one of EULER_ORDERS, frame is "intrinsic" or "extrinsic"
+// lockedAngle is "first" or "third", the angle that takes the whole coupled
+// rotation at gimbal lock (see lockedEulerAngles)
+// out[0], out[1], out[2] are the angles about the 1st, 2nd and 3rd axis of order
+// Based on Bernardes & Viollet (2022), "Quaternion to Euler angles conversion:
+// A direct, general and computationally efficient method"
+export function quaternionToEuler(
+  out,
+  activeQ,
+  degOrRad,
+  order = "ZYX",
+  frame = "intrinsic",
+  lockedAngle = "first"
+) {
+  checkEulerOrder("quaternionToEuler", order, frame);
+  const q = applySense(newQuat(), activeQ);
+  const extrinsic = frame === "extrinsic";
+  // The method is written for extrinsic sequences; an intrinsic sequence
+  // equals the reversed extrinsic sequence with reversed angles
+  const seq = extrinsic ? order : order.split("").reverse().join("");
+  const i = "XYZ".indexOf(seq[0]);
+  const j = "XYZ".indexOf(seq[1]);
+  const symmetric = seq[0] === seq[2];
+  // for proper Euler sequences, k is the axis not used by the sequence
+  const k = symmetric ? 3 - i - j : "XYZ".indexOf(seq[2]);
+  // +1 for cyclic (even) permutations of XYZ, -1 otherwise
+  const sign = ((i - j) * (j - k) * (k - i)) / 2;
+
+  let a, b, c, d;
+  if (symmetric) {
+    a = q[3];
+    b = q[i];
+    c = q[j];
+    d = q[k] * sign;
   } else {
-    beta = Math.asin(sinp);
+    a = q[3] - q[j];
+    b = q[i] + q[k] * sign;
+    c = q[j] + q[3];
+    d = q[k] * sign - q[i];
   }
-  // gamma (Z-axis rotation)
-  const siny_cosp = 2 * (w * z + x * y);
-  const cosy_cosp = 1 - 2 * (y * y + z * z);
-  const gamma = Math.atan2(siny_cosp, cosy_cosp);
 
-  if (degOrRad === "deg") {
-    out[0] = glm.toDegree(gamma);
-    out[1] = glm.toDegree(beta);
-    out[2] = glm.toDegree(alpha);
-  } else if (degOrRad === "rad") {
-    out[0] = gamma;
-    out[1] = beta;
-    out[2] = alpha;
+  let angles = [0, 0, 0];
+  angles[1] = 2 * Math.atan2(Math.hypot(c, d), Math.hypot(a, b));
+  // the middle angle is 0 or pi at gimbal lock, where only the sum or the
+  // difference of the outer angles is defined
+  const locked =
+    Math.abs(angles[1]) <= GIMBAL_LOCK_EPS ||
+    Math.abs(angles[1] - Math.PI) <= GIMBAL_LOCK_EPS;
+  if (!locked) {
+    const halfSum = Math.atan2(b, a);
+    const halfDiff = Math.atan2(d, c);
+    angles[0] = halfSum - halfDiff;
+    angles[2] = halfSum + halfDiff;
+  }
+  if (!symmetric) {
+    angles[2] *= sign;
+    angles[1] -= Math.PI / 2;
+  }
+  if (!extrinsic) {
+    angles.reverse();
+  }
+  if (locked) {
+    angles = lockedEulerAngles(q, angles[1], order, frame, lockedAngle);
+  }
+
+  for (let n = 0; n < 3; ++n) {
+    // wrap to [-pi, pi]
+    if (angles[n] < -Math.PI) angles[n] += 2 * Math.PI;
+    else if (angles[n] > Math.PI) angles[n] -= 2 * Math.PI;
+
+    if (degOrRad === "deg") {
+      out[n] = glm.toDegree(angles[n]);
+    } else if (degOrRad === "rad") {
+      out[n] = angles[n];
+    } else {
+      throw new Error('quaternionToEuler: degOrRad must be "deg" or "rad"');
+    }
   }
   return out;
 }
 
-function quaternionToAxisAngle(out, q, degOrRad) {
-  quat.normalize(q, q);
-  const angle = quat.getAxisAngle(out, q);
+// Quaternion conventions
+// order is the component order, "xyzw" (scalar-last, as gl-matrix) or "wxyz"
+// (scalar-first). algebra is "hamilton" or "jpl". The JPL quaternion of a
+// rotation is the conjugate of its Hamilton quaternion, and JPL products
+// compose in the opposite order (Sommer et al., 2018, "Why and How to Avoid
+// the Flipped Quaternion Multiplication"); all rotations are composed as
+// Hamilton quaternions internally
+export const QUATERNION_ORDERS = ["xyzw", "wxyz"];
+export const QUATERNION_ALGEBRAS = ["hamilton", "jpl"];
+
+function checkQuaternionConvention(fnName, order, algebra) {
+  if (!QUATERNION_ORDERS.includes(order)) {
+    throw new Error(`${fnName}: order must be "xyzw" or "wxyz"`);
+  }
+  if (!QUATERNION_ALGEBRAS.includes(algebra)) {
+    throw new Error(`${fnName}: algebra must be "hamilton" or "jpl"`);
+  }
+}
+
+// values is an array of 4 components in the given convention
+// returns an active gl-matrix (Hamilton, [x, y, z, w]) quat
+export function quaternionFromConvention(
+  values,
+  order = "xyzw",
+  algebra = "hamilton"
+) {
+  checkQuaternionConvention("quaternionFromConvention", order, algebra);
+  const q = newQuat();
+  for (let i = 0; i < 4; ++i) {
+    q["xyzw".indexOf(order[i])] = values[i];
+  }
+  if (algebra === "jpl") {
+    quat.conjugate(q, q);
+  }
+  return applySense(q, q);
+}
+
+// out is an array of 4 to receive the components of the Hamilton quat q in
+// the given convention
+export function quaternionToConvention(
+  out,
+  q,
+  order = "xyzw",
+  algebra = "hamilton"
+) {
+  checkQuaternionConvention("quaternionToConvention", order, algebra);
+  const converted = applySense(newQuat(), q);
+  applyQuatSign(converted, converted);
+  if (algebra === "jpl") {
+    quat.conjugate(converted, converted);
+  }
+  for (let i = 0; i < 4; ++i) {
+    out[i] = converted["xyzw".indexOf(order[i])];
+  }
+  return out;
+}
+
+// Label of a convention for the UI, e.g. "[w, x, y, z] Hamilton"
+export function quaternionConventionLabel(order, algebra) {
+  const name = algebra === "jpl" ? "JPL" : "Hamilton";
+  return `[${order.split("").join(", ")}] ${name}`;
+}
+
+// The angle is up to 180 deg with w >= 0 and over 180 deg with w < 0, by the
+// quaternion sign convention
+export function quaternionToAxisAngle(out, q, degOrRad) {
+  const converted = applySense(newQuat(), q);
+  quat.normalize(converted, converted);
+  applyQuatSign(converted, converted);
+  const angle = quat.getAxisAngle(out, converted);
   if (degOrRad === "deg") {
     out[3] = glm.toDegree(angle);
   } else if (degOrRad === "rad") {
@@ -52,20 +379,21 @@ function quaternionToAxisAngle(out, q, degOrRad) {
   return out;
 }
 
-function quaternionToMatrix(q) {
+export function quaternionToMatrix(q) {
   if (q[0] === q[1] && q[1] === q[2] && q[2] === 0) {
-    return mat3.create();
+    return newMat3();
   }
-  quat.normalize(q, q);
-  const mat = mat3.create();
-  mat3.fromQuat(mat, q);
-  return mat;
+  const converted = applySense(newQuat(), q);
+  quat.normalize(converted, converted);
+  const mat = newMat3();
+  mat3.fromQuat(mat, converted);
+  return applyLayout(mat, mat);
 }
 
-function axisAngleToQuaternion(x, y, z, angle, degOrRad) {
-  const axis = vec3.fromValues(x, y, z);
+export function axisAngleToQuaternion(x, y, z, angle, degOrRad) {
+  const axis = [x, y, z];
   vec3.normalize(axis, axis);
-  const quatOut = quat.create();
+  const quatOut = newQuat();
   if (degOrRad === "deg") {
     quat.setAxisAngle(quatOut, axis, glm.toRadian(angle));
   } else if (degOrRad === "rad") {
@@ -74,36 +402,150 @@ function axisAngleToQuaternion(x, y, z, angle, degOrRad) {
     throw new Error('axisAngleToQuaternion: degOrRad must be "deg" or "rad"');
   }
   quat.normalize(quatOut, quatOut);
-  return quatOut;
+  return applySense(quatOut, quatOut);
 }
 
-function eulerToQuaternion(alpha, beta, gamma, degOrRad, order = "zyx") {
-  const q = quat.create();
+// alpha, beta, gamma are the angles about the 1st, 2nd and 3rd axis of order
+// Intrinsic rotations are about the axes of the moving frame, so
+// q = q1 * q2 * q3; extrinsic rotations are about the fixed axes, so
+// q = q3 * q2 * q1
+export function eulerToQuaternion(
+  alpha,
+  beta,
+  gamma,
+  degOrRad,
+  order = "ZYX",
+  frame = "intrinsic"
+) {
+  checkEulerOrder("eulerToQuaternion", order, frame);
+  let angles;
   if (degOrRad === "deg") {
-    quat.fromEuler(q, gamma, beta, alpha, "zyx"); // TODO: support order
+    angles = [alpha, beta, gamma].map(glm.toRadian);
   } else if (degOrRad === "rad") {
-    const aDeg = glm.toDegree(alpha);
-    const bDeg = glm.toDegree(beta);
-    const gDeg = glm.toDegree(gamma);
-    quat.fromEuler(q, gDeg, bDeg, aDeg, "zyx");
+    angles = [alpha, beta, gamma];
   } else {
     throw new Error('eulerToQuaternion: degOrRad must be "deg" or "rad"');
   }
+  const q = newQuat();
+  const elemental = newQuat();
+  for (let n = 0; n < 3; ++n) {
+    elementalQuaternion(elemental, order[n], angles[n]);
+    if (frame === "intrinsic") {
+      quat.multiply(q, q, elemental);
+    } else {
+      quat.multiply(q, elemental, q);
+    }
+  }
   quat.normalize(q, q);
-  return q;
+  return applySense(q, q);
+}
+
+// Decomposes the active quat q into the elemental rotations of an Euler
+// sequence, to show them one at a time. Returns the angles (rad) of the
+// active rotation, whatever the sense, and the frames after each elemental
+// rotation, the last being q up to sign
+export function eulerSteps(
+  q,
+  order = "ZYX",
+  frame = "intrinsic",
+  lockedAngle = "first"
+) {
+  const angles = withConventions({ sense: "active" }, () =>
+    Array.from(
+      quaternionToEuler(newVec3(), q, "rad", order, frame, lockedAngle)
+    )
+  );
+  const frames = [];
+  const current = newQuat();
+  const elemental = newQuat();
+  angles.forEach((angle, n) => {
+    elementalQuaternion(elemental, order[n], angle);
+    if (frame === "intrinsic") {
+      quat.multiply(current, current, elemental);
+    } else {
+      quat.multiply(current, elemental, current);
+    }
+    frames.push(Array.from(current));
+  });
+  return { angles, frames };
+}
+
+// Product q[0] * q[1] * ... of an array of active quats, taken in the current
+// sense: passive rotations multiply like their matrices, which is the reverse
+// order of the corresponding active rotations
+export function composeQuaternions(qs) {
+  const product = newQuat();
+  const term = newQuat();
+  qs.forEach((q) => {
+    quat.multiply(product, product, applySense(term, q));
+  });
+  quat.normalize(product, product);
+  return applySense(product, product);
+}
+
+// True if the mat3 r is a rotation: R^T * R = I and det(R) = +1
+// Both tests hold for either layout and sense
+export function isValidRotationMatrix(r) {
+  const identity = newMat3();
+  const rt = newMat3();
+  mat3.transpose(rt, r);
+  const result = newMat3();
+  mat3.multiply(result, rt, r);
+  const det = mat3.determinant(r);
+  if (!mat3.equals(result, identity) || det < 0.999 || det > 1.001) {
+    return false;
+  }
+  return true;
+}
+
+// Orthogonality error |M^T M - I| (Frobenius norm) and determinant of a mat3,
+// both 0 and 1 for an exact rotation matrix
+export function rotationMatrixError(m) {
+  const mtm = mat3.multiply(newMat3(), mat3.transpose(newMat3(), m), m);
+  mat3.subtract(mtm, mtm, newMat3());
+  return { orthogonality: mat3.frob(mtm), det: mat3.determinant(m) };
+}
+
+// Nearest rotation matrix to m in the Frobenius norm: the orthogonal factor
+// of the polar decomposition m = R S, computed with the Newton iteration
+// R <- (R + R^-T) / 2 (Higham, 1986). Matrices with det <= 0 have no nearby
+// rotation: they are reflections or singular
+export function nearestRotationMatrix(m) {
+  const det = mat3.determinant(m);
+  if (det < 0) {
+    throw new Error("nearestRotationMatrix: matrix is a reflection (det < 0)");
+  }
+  if (det < 1e-6) {
+    throw new Error("nearestRotationMatrix: matrix is singular");
+  }
+  const r = Array.from(m);
+  const invT = newMat3();
+  const step = newMat3();
+  for (let i = 0; i < 100; ++i) {
+    mat3.transpose(invT, mat3.invert(invT, r));
+    mat3.add(invT, r, invT);
+    mat3.multiplyScalar(invT, invT, 0.5);
+    mat3.subtract(step, invT, r);
+    mat3.copy(r, invT);
+    if (mat3.frob(step) < 1e-7) break;
+  }
+  return r;
 }
 
-function matrixToQuaternion(m) {
-  const quatOut = quat.create();
-  quat.fromMat3(quatOut, m);
+export function matrixToQuaternion(m) {
+  const quatOut = newQuat();
+  quat.fromMat3(quatOut, applyLayout(newMat3(), m));
   quat.normalize(quatOut, quatOut);
-  return quatOut;
+  applyQuatSign(quatOut, quatOut);
+  return applySense(quatOut, quatOut);
 }
 
 // direct conversion, not using quaternion as intermediate
 // out is a vec4 to receive the result
-// m is a mat3
-function matrixToAxisAngle(out, m, degOrRad) {
+// matrix is a mat3 in the current layout; both are in the current sense, as
+// the transpose of a matrix has the same axis and the opposite angle
+export function matrixToAxisAngle(out, matrix, degOrRad) {
+  const m = applyLayout(newMat3(), matrix);
   const trace = m[0] + m[4] + m[8];
   const angle = Math.acos(Math.min(Math.max((trace - 1) / 2, -1), 1)); // clamp to [-1, 1]
 
@@ -137,16 +579,246 @@ function matrixToAxisAngle(out, m, degOrRad) {
     y = (m[6] - m[2]) / s;
     z = (m[1] - m[3]) / s;
   }
+  if (degOrRad !== "deg" && degOrRad !== "rad") {
+    throw new Error('matrixToAxisAngle: degOrRad must be "deg" or "rad"');
+  }
+  // the angle is up to 180 deg, i.e. w >= 0; the other quaternion sign
+  // conventions may pick the negated axis and 360 deg minus the angle
+  const s = Math.sin(angle / 2);
+  const sign = applyQuatSign([], [x * s, y * s, z * s, Math.cos(angle / 2)])[3];
   out[0] = x;
   out[1] = y;
   out[2] = z;
-  if (degOrRad === "deg") {
-    out[3] = glm.toDegree(angle);
-  } else if (degOrRad === "rad") {
-    out[3] = angle;
-  } else {
-    throw new Error('matrixToAxisAngle: degOrRad must be "deg" or "rad"');
+  out[3] = degOrRad === "deg" ? glm.toDegree(angle) : angle;
+  return sign < 0 ? alternateAxisAngle(out, out, degOrRad) : out;
+}
+
+// The same rotation as the axis-angle (x, y, z, angle) about the negated
+// axis, by 360 deg minus the angle
+export function alternateAxisAngle(out, axisAngle, degOrRad) {
+  const turn = degOrRad === "deg" ? 360 : 2 * Math.PI;
+  out[0] = -axisAngle[0];
+  out[1] = -axisAngle[1];
+  out[2] = -axisAngle[2];
+  out[3] = turn - axisAngle[3];
+  return out;
+}
+
+// Rotation vector (scaled axis, OpenCV's rvec): axis * angle
+// x, y, z are in the unit given by degOrRad
+// The sense is applied by the axis-angle conversions used here
+export function rotationVectorToQuaternion(x, y, z, degOrRad) {
+  const angle = Math.hypot(x, y, z);
+  if (angle === 0) {
+    return newQuat();
   }
+  return axisAngleToQuaternion(x, y, z, angle, degOrRad);
+}
 
+// out is a vec3 to receive the result
+// uses the shortest rotation, so the magnitude is at most 180 deg whatever
+// the quaternion sign convention
+export function quaternionToRotationVector(out, q, degOrRad) {
+  const axisAngle = withConventions({ quatSign: "w" }, () =>
+    quaternionToAxisAngle(newVec4(), q, degOrRad)
+  );
+  out[0] = axisAngle[0] * axisAngle[3];
+  out[1] = axisAngle[1] * axisAngle[3];
+  out[2] = axisAngle[2] * axisAngle[3];
   return out;
 }
+
+// Gibbs vector (classical Rodrigues parameters): axis * tan(angle / 2),
+// which is the vector part of the quaternion divided by its scalar part
+export function gibbsToQuaternion(x, y, z) {
+  const q = [x, y, z, 1];
+  quat.normalize(q, q);
+  return applySense(q, q);
+}
+
+// out is a vec3 to receive the result
+export function quaternionToGibbs(out, q) {
+  const n = applySense(newQuat(), q);
+  quat.normalize(n, n);
+  if (Math.abs(n[3]) < 1e-6) {
+    throw new Error(
+      "quaternionToGibbs: the Gibbs vector is infinite for 180 deg rotations"
+    );
+  }
+  out[0] = n[0] / n[3];
+  out[1] = n[1] / n[3];
+  out[2] = n[2] / n[3];
+  return out;
+}
+
+// Modified Rodrigues Parameters: axis * tan(angle / 4), which is the vector
+// part of the quaternion divided by (1 + scalar part)
+// p and its shadow set -p / |p|^2 describe the same rotation; any p is accepted
+export function mrpToQuaternion(x, y, z) {
+  const s = x * x + y * y + z * z;
+  const q = [
+    (2 * x) / (1 + s),
+    (2 * y) / (1 + s),
+    (2 * z) / (1 + s),
+    (1 - s) / (1 + s),
+  ];
+  quat.normalize(q, q);
+  return applySense(q, q);
+}
+
+// out is a vec3 to receive the result
+// The principal set (|p| <= 1) is computed from the quaternion with w >= 0,
+// switching to -q where needed; shadow = true gives the shadow set (|p| >= 1)
+export function quaternionToMRP(out, q, shadow = false) {
+  const n = applySense(newQuat(), q);
+  quat.normalize(n, n);
+  const sign = n[3] >= 0 !== shadow ? 1 : -1;
+  const denom = 1 + sign * n[3];
+  if (denom < 1e-6) {
+    throw new Error(
+      "quaternionToMRP: the shadow set is infinite for the identity rotation"
+    );
+  }
+  out[0] = (sign * n[0]) / denom;
+  out[1] = (sign * n[1]) / denom;
+  out[2] = (sign * n[2]) / denom;
+  return out;
+}
+
+// Continuous 6D representation (Zhou et al., "On the Continuity of Rotation
+// Representations in Neural Networks"): the first two columns of the matrix
+// a1 and a2 are vec3s; Gram-Schmidt turns any two independent vectors into
+// the columns b1, b2 of a rotation matrix, and b3 = b1 x b2
+export function sixDToMatrix(a1, a2) {
+  const b1 = Array.from(a1);
+  if (vec3.length(b1) < 1e-9) {
+    throw new Error("sixDToMatrix: first column is a zero vector");
+  }
+  vec3.normalize(b1, b1);
+  const b2 = Array.from(a2);
+  vec3.scaleAndAdd(b2, b2, b1, -vec3.dot(b1, a2));
+  // relative test, as rounded inputs leave a residual on parallel columns
+  if (vec3.length(b2) <= 1e-6 * vec3.length(a2)) {
+    throw new Error("sixDToMatrix: columns are parallel or zero");
+  }
+  vec3.normalize(b2, b2);
+  const b3 = vec3.cross(newVec3(), b1, b2);
+  // mat3 is column-major
+  const m = [...b1, ...b2, ...b3];
+  return applyLayout(m, m);
+}
+
+// out is an array of 6 to receive the first column then the second column
+export function matrixToSixD(out, m) {
+  for (let i = 0; i < 3; ++i) {
+    out[i] = m[matrixIndex(i, 0)];
+    out[i + 3] = m[matrixIndex(i, 1)];
+  }
+  return out;
+}
+
+// Representations by name, with their number of values
+export const REPRESENTATION_SIZES = {
+  "axis-angle": 4,
+  euler: 3,
+  quaternion: 4,
+  matrix: 9,
+  "rotation-vector": 3,
+  gibbs: 3,
+  mrp: 3,
+  "6d": 6,
+};
+
+function checkRepresentation(fnName, type) {
+  if (!(type in REPRESENTATION_SIZES)) {
+    throw new Error(`${fnName}: unknown rotation representation "${type}"`);
+  }
+}
+
+// Converts the flat array of values of a representation to an active quat
+// options holds the settings of the representation: degOrRad (axis-angle,
+// euler, rotation-vector), order and frame (euler), order and algebra
+// (quaternion)
+export function toQuaternion(type, values, options = {}) {
+  checkRepresentation("toQuaternion", type);
+  if (values.length !== REPRESENTATION_SIZES[type]) {
+    throw new Error(
+      `toQuaternion: ${type} needs ${REPRESENTATION_SIZES[type]} values, ` +
+        `got ${values.length}`
+    );
+  }
+  const v = values;
+  if (type === "axis-angle") {
+    if (v[0] === 0 && v[1] === 0 && v[2] === 0) {
+      throw new Error("Invalid axis: zero vector");
+    }
+    return axisAngleToQuaternion(v[0], v[1], v[2], v[3], options.degOrRad);
+  } else if (type === "euler") {
+    return eulerToQuaternion(
+      v[0],
+      v[1],
+      v[2],
+      options.degOrRad,
+      options.order,
+      options.frame
+    );
+  } else if (type === "quaternion") {
+    if (v.every((c) => c === 0)) {
+      throw new Error("Invalid quaternion: zero vector");
+    }
+    const q = quaternionFromConvention(v, options.order, options.algebra);
+    return quat.normalize(q, q);
+  } else if (type === "matrix") {
+    const m = [...v];
+    if (!isValidRotationMatrix(m)) {
+      const { orthogonality, det } = rotationMatrixError(m);
+      throw new Error(
+        det < 0
+          ? `Invalid rotation matrix: det = ${det.toFixed(4)}, a reflection`
+          : "Invalid rotation matrix: not orthonormal " +
+            `(|M^T M - I| = ${orthogonality.toExponential(2)})`
+      );
+    }
+    return matrixToQuaternion(v);
+  } else if (type === "rotation-vector") {
+    return rotationVectorToQuaternion(v[0], v[1], v[2], options.degOrRad);
+  } else if (type === "gibbs") {
+    return gibbsToQuaternion(v[0], v[1], v[2]);
+  } else if (type === "mrp") {
+    return mrpToQuaternion(v[0], v[1], v[2]);
+  }
+  return matrixToQuaternion(sixDToMatrix(v.slice(0, 3), v.slice(3)));
+}
+
+// Converts an active quat to the flat array of values of a representation
+// options as for toQuaternion, plus lockedAngle (euler) and shadow (mrp)
+export function fromQuaternion(type, q, options = {}) {
+  checkRepresentation("fromQuaternion", type);
+  if (type === "axis-angle") {
+    return Array.from(quaternionToAxisAngle(newVec4(), q, options.degOrRad));
+  } else if (type === "euler") {
+    return Array.from(
+      quaternionToEuler(
+        newVec3(),
+        q,
+        options.degOrRad,
+        options.order,
+        options.frame,
+        options.lockedAngle
+      )
+    );
+  } else if (type === "quaternion") {
+    return quaternionToConvention([], q, options.order, options.algebra);
+  } else if (type === "matrix") {
+    return Array.from(quaternionToMatrix(q));
+  } else if (type === "rotation-vector") {
+    return Array.from(
+      quaternionToRotationVector(newVec3(), q, options.degOrRad)
+    );
+  } else if (type === "gibbs") {
+    return Array.from(quaternionToGibbs(newVec3(), q));
+  } else if (type === "mrp") {
+    return Array.from(quaternionToMRP(newVec3(), q, options.shadow));
+  }
+  return matrixToSixD([], quaternionToMatrix(q));
+}
@@ -0,0 +1,122 @@
+// Text formatting of rotation values, shared by the page and the CLI
+
+import { matrixIndex } from "./conversion.js";
+
+// digits is a number of decimal places, or a function that formats a value
+function formatValue(v, digits) {
+  return typeof digits === "function" ? digits(v) : v.toFixed(digits);
+}
+
+// arr is an array-like object of numbers
+// digits can be as above, or an array of per-element digits
+export function formatVec(arr, digits = 4, sep = "\t") {
+  if (Array.isArray(digits)) {
+    return Array.from(arr)
+      .map((v, i) => formatValue(v, digits[i] !== undefined ? digits[i] : 4))
+      .join(sep);
+  } else {
+    return Array.from(arr)
+      .map((v) => formatValue(v, digits))
+      .join(sep);
+  }
+}
+
+// mat is a flat matrix in the layout of the conventions, shown as rows
+export function formatMatrix(mat, digits = 4) {
+  const rows = [];
+  for (let i = 0; i < 3; ++i) {
+    const row = [];
+    for (let j = 0; j < 3; ++j) {
+      row.push(formatValue(mat[matrixIndex(i, j)], digits));
+    }
+    rows.push(row.join("  "));
+  }
+  return rows.join("\n");
+}
+
+// Exact mode recovers these forms and no others: integers; fractions n/d;
+// square roots of fractions, written a√b/c with b square-free, e.g. √6/4;
+// and for angles in radians multiples n/d of π. Each fraction n/d, the one
+// under the root for square roots, has |n| up to EXACT_NUMERATOR and d up to
+// EXACT_DENOMINATOR. Values match within EXACT_TOLERANCE relative to their
+// size, and values under ZERO_TOLERANCE are 0. Other exact values, such as
+// cos(π/5) or 1 + √2, stay decimal
+const EXACT_TOLERANCE = 1e-9;
+const ZERO_TOLERANCE = 1e-12;
+const EXACT_DENOMINATOR = 24;
+const EXACT_NUMERATOR = 1000;
+
+function isClose(a, v) {
+  return (
+    Math.abs(a - v) < Math.max(EXACT_TOLERANCE * Math.abs(v), ZERO_TOLERANCE)
+  );
+}
+
+// [n, d] in lowest terms with the sign in n, or null
+function smallFraction(v) {
+  for (let d = 1; d <= EXACT_DENOMINATOR; ++d) {
+    const n = Math.round(v * d);
+    if (Math.abs(n) > EXACT_NUMERATOR) {
+      return null;
+    }
+    if (isClose(n / d, v)) {
+      return [n, d];
+    }
+  }
+  return null;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// e.g. 3/4, -2π/3, √2/2
+function fractionText(n, d, symbol = "") {
+  const a = Math.abs(n);
+  const numerator = symbol && a === 1 ? symbol : `${a}${symbol}`;
+  return (n < 0 ? "-" : "") + numerator + (d === 1 ? "" : `/${d}`);
+}
+
+// Closed form of v as text, or null when it has none; unit is "rad" for
+// angles in radians
+export function closedForm(v, unit) {
+  if (!Number.isFinite(v)) return null;
+  if (isClose(Math.round(v), v)) {
+    return String(Math.round(v) || 0);
+  }
+  const rational = smallFraction(v);
+  if (rational) {
+    return fractionText(...rational);
+  }
+  const ofPi = unit === "rad" ? smallFraction(v / Math.PI) : null;
+  if (ofPi) {
+    return fractionText(...ofPi, "\u03c0");
+  }
+  // a value whose square is within ZERO_TOLERANCE of 0 is not itself 0
+  const square = smallFraction(v * v);
+  if (!square || square[0] === 0) return null;
+  // |v| = sqrt(n / d) = sqrt(n d) / d, with the square factors of n d
+  // taken out of the root
+  const [n, d] = square;
+  let inside = n * d;
+  let outside = 1;
+  for (let k = 2; k * k <= inside; ++k) {
+    while (inside % (k * k) === 0) {
+      inside /= k * k;
+      outside *= k;
+    }
+  }
+  const g = gcd(outside, d);
+  return fractionText(Math.sign(v) * (outside / g), d / g, `\u221a${inside}`);
+}
+
+// 6D output as a 3x2 table of the two columns
+export function formatSixD(sixD, digits = 4) {
+  const rows = [];
+  for (let i = 0; i < 3; ++i) {
+    rows.push(
+      formatValue(sixD[i], digits) + "  " + formatValue(sixD[i + 3], digits)
+    );
+  }
+  return rows.join("\n");
+}
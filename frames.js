@@ -0,0 +1,115 @@
+// Coordinate frames of engines and libraries, and rotations converted from
+// one frame's axes to another's
+// Each frame names the direction its X, Y and Z axes point in, with the
+// directions taken in a right-handed reference: X right, Y up and Z back,
+// towards the viewer, as in OpenGL
+
+import { quat, mat3 } from "gl-matrix";
+import { newQuat, newMat3 } from "./arrays.js";
+
+const DIRECTIONS = {
+  right: [1, 0, 0],
+  left: [-1, 0, 0],
+  up: [0, 1, 0],
+  down: [0, -1, 0],
+  back: [0, 0, 1],
+  forward: [0, 0, -1],
+};
+
+// axes: directions of X, Y and Z. up: the axis the view keeps up. The other
+// settings are the usual conventions of the engine or library: flat matrix
+// layout, quaternion component order and Euler sequence, where it has one
+export const FRAME_PRESETS = {
+  opengl: {
+    label: "OpenGL",
+    axes: ["right", "up", "back"],
+    up: [0, 1, 0],
+    layout: "column",
+    quatOrder: "xyzw",
+  },
+  unity: {
+    label: "Unity",
+    axes: ["right", "up", "forward"],
+    up: [0, 1, 0],
+    layout: "column",
+    quatOrder: "xyzw",
+    // Quaternion.Euler turns about z, then x, then y of the fixed frame
+    eulerOrder: "YXZ",
+    eulerFrame: "intrinsic",
+  },
+  unreal: {
+    label: "Unreal Engine",
+    axes: ["forward", "right", "up"],
+    up: [0, 0, 1],
+    layout: "row",
+    quatOrder: "xyzw",
+    // FRotator: yaw, then pitch, then roll
+    eulerOrder: "ZYX",
+    eulerFrame: "intrinsic",
+  },
+  ros: {
+    label: "ROS (REP-103)",
+    axes: ["forward", "left", "up"],
+    up: [0, 0, 1],
+    layout: "row",
+    quatOrder: "xyzw",
+    // roll, pitch, yaw about the fixed axes
+    eulerOrder: "XYZ",
+    eulerFrame: "extrinsic",
+  },
+  opencv: {
+    label: "OpenCV camera",
+    axes: ["right", "down", "forward"],
+    up: [0, -1, 0],
+    layout: "row",
+  },
+};
+
+function checkFrame(fnName, name) {
+  if (!(name in FRAME_PRESETS)) {
+    throw new Error(`${fnName}: unknown frame "${name}"`);
+  }
+}
+
+// Column-major mat3 whose columns are the frame's axes in the reference
+function axesMatrix(name) {
+  return FRAME_PRESETS[name].axes.flatMap((axis) => DIRECTIONS[axis]);
+}
+
+// "right" or "left"
+export function frameHandedness(name) {
+  checkFrame("frameHandedness", name);
+  return mat3.determinant(axesMatrix(name)) > 0 ? "right" : "left";
+}
+
+// e.g. "left-handed: X right, Y up, Z forward"
+export function frameDescription(name) {
+  checkFrame("frameDescription", name);
+  const axes = FRAME_PRESETS[name].axes
+    .map((axis, i) => `${"XYZ"[i]} ${axis}`)
+    .join(", ");
+  return `${frameHandedness(name)}-handed: ${axes}`;
+}
+
+// The rotation of the active quat q, given in the axes of frame from, in the
+// axes of frame to: R_to = C R_from C^T, where C maps coordinates from one
+// frame to the other. Rotation matrices have the same entries in left- and
+// right-handed frames, so a change of handedness is only a change of axes
+export function convertFrameRotation(out, q, from, to) {
+  checkFrame("convertFrameRotation", from);
+  checkFrame("convertFrameRotation", to);
+  const c = mat3.multiply(
+    newMat3(),
+    mat3.transpose(newMat3(), axesMatrix(to)),
+    axesMatrix(from)
+  );
+  // a change of handedness makes C a reflection -P, with P a rotation, and
+  // C R C^T = P R P^T
+  if (mat3.determinant(c) < 0) {
+    mat3.multiplyScalar(c, c, -1);
+  }
+  const p = quat.fromMat3(newQuat(), c);
+  quat.multiply(out, p, q);
+  quat.multiply(out, out, quat.conjugate(p, p));
+  return quat.normalize(out, out);
+}
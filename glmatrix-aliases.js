@@ -1,6 +0,0 @@
-const glm = glMatrix.glMatrix;
-const vec3 = glMatrix.vec3;
-const vec4 = glMatrix.vec4;
-const quat = glMatrix.quat;
-const mat3 = glMatrix.mat3;
-const mat4 = glMatrix.mat4;
\ No newline at end of file
@@ -0,0 +1,143 @@
+// Interpolation through keyframe rotations with slerp, nlerp or squad, along
+// the short or the long path between consecutive keyframes
+// Keyframes and results are active gl-matrix quats; t runs from 0 at the
+// first keyframe to 1 at the last, with the same time between keyframes
+
+import { quat } from "gl-matrix";
+import { newQuat } from "./arrays.js";
+
+export const INTERPOLATION_METHODS = ["slerp", "nlerp", "squad"];
+export const INTERPOLATION_PATHS = ["short", "long"];
+
+function checkInterpolation(fnName, keyframes, method, path) {
+  if (!INTERPOLATION_METHODS.includes(method)) {
+    throw new Error(`${fnName}: unknown method "${method}"`);
+  }
+  if (!INTERPOLATION_PATHS.includes(path)) {
+    throw new Error(`${fnName}: path must be "short" or "long"`);
+  }
+  if (keyframes.length < 2) {
+    throw new Error(`${fnName}: at least 2 keyframes are needed`);
+  }
+}
+
+// q and -q are the same rotation; the sign of each keyframe picks the way
+// round from the one before: q1 . q2 >= 0 turns the short way, q1 . q2 <= 0
+// the long way
+function alignKeyframes(keyframes, path) {
+  const aligned = [quat.normalize(newQuat(), keyframes[0])];
+  for (let n = 1; n < keyframes.length; ++n) {
+    const q = quat.normalize(newQuat(), keyframes[n]);
+    const d = quat.dot(aligned[n - 1], q);
+    if (path === "short" ? d < 0 : d > 0) {
+      quat.scale(q, q, -1);
+    }
+    aligned.push(q);
+  }
+  return aligned;
+}
+
+// Slerp along the great arc from a to b as given; quat.slerp flips b to take
+// the short path, which would undo the long one
+function arcSlerp(out, a, b, t) {
+  const cos = Math.min(1, Math.max(-1, quat.dot(a, b)));
+  if (cos > 1 - 1e-6) {
+    return nlerp(out, a, b, t);
+  }
+  if (cos < -1 + 1e-6) {
+    // b = -a: the long way round is a full turn, about any axis; go through
+    // a quat orthogonal to a
+    const c = [-a[1], a[0], -a[3], a[2]];
+    return t < 0.5
+      ? arcSlerp(out, a, c, 2 * t)
+      : arcSlerp(out, c, b, 2 * t - 1);
+  }
+  const omega = Math.acos(cos);
+  const sin = Math.sin(omega);
+  const ka = Math.sin((1 - t) * omega) / sin;
+  const kb = Math.sin(t * omega) / sin;
+  for (let i = 0; i < 4; ++i) {
+    out[i] = ka * a[i] + kb * b[i];
+  }
+  return out;
+}
+
+function nlerp(out, a, b, t) {
+  quat.lerp(out, a, b, t);
+  // the chord between q and -q passes through 0
+  if (quat.length(out) < 1e-6) {
+    return arcSlerp(out, a, b, t);
+  }
+  return quat.normalize(out, out);
+}
+
+// Shoemake's inner control points of squad,
+// s_n = q_n exp(-(log(q_n^-1 q_n+1) + log(q_n^-1 q_n-1)) / 4), which make the
+// path smooth through the keyframes; the end points are their own controls
+function squadControls(qs) {
+  return qs.map((q, n) => {
+    if (n === 0 || n === qs.length - 1) {
+      return Array.from(q);
+    }
+    const inverse = quat.invert(newQuat(), q);
+    const toNext = quat.multiply(newQuat(), inverse, qs[n + 1]);
+    const toPrev = quat.multiply(newQuat(), inverse, qs[n - 1]);
+    const sum = quat.add(
+      newQuat(),
+      quat.ln(toNext, toNext),
+      quat.ln(toPrev, toPrev)
+    );
+    quat.scale(sum, sum, -0.25);
+    return quat.multiply(sum, q, quat.exp(sum, sum));
+  });
+}
+
+// Keyframe segment at time t: the rotation is between keyframes segment and
+// segment + 1 (0-based), at fraction u of the way
+export function keyframeSegment(count, t) {
+  const scaled = Math.min(1, Math.max(0, t)) * (count - 1);
+  const segment = Math.min(Math.floor(scaled), count - 2);
+  return { segment, u: scaled - segment };
+}
+
+function interpolateAligned(out, qs, controls, t, method) {
+  const { segment: n, u } = keyframeSegment(qs.length, t);
+  if (method === "nlerp") {
+    return nlerp(out, qs[n], qs[n + 1], u);
+  }
+  arcSlerp(out, qs[n], qs[n + 1], u);
+  if (method === "squad") {
+    const inner = arcSlerp(newQuat(), controls[n], controls[n + 1], u);
+    arcSlerp(out, out, inner, 2 * u * (1 - u));
+  }
+  return quat.normalize(out, out);
+}
+
+// Rotation at time t of the path through keyframes
+export function interpolateKeyframes(
+  out,
+  keyframes,
+  t,
+  method = "slerp",
+  path = "short"
+) {
+  checkInterpolation("interpolateKeyframes", keyframes, method, path);
+  const qs = alignKeyframes(keyframes, path);
+  const controls = method === "squad" ? squadControls(qs) : null;
+  return interpolateAligned(out, qs, controls, t, method);
+}
+
+// count + 1 rotations evenly spaced in t along the path, e.g. to draw it
+export function samplePath(
+  keyframes,
+  method = "slerp",
+  path = "short",
+  count = 100
+) {
+  checkInterpolation("samplePath", keyframes, method, path);
+  const qs = alignKeyframes(keyframes, path);
+  const controls = method === "squad" ? squadControls(qs) : null;
+  return Array.from({ length: count + 1 }, (_, k) =>
+    interpolateAligned(newQuat(), qs, controls, k / count, method)
+  );
+}
@@ -1,4 +1,99 @@
-"use strict";
+import { glMatrix, vec3, vec4, quat, mat3 } from "gl-matrix";
+import {
+  setConventions,
+  getConventions,
+  matrixIndex,
+  GIMBAL_LOCK_EPS,
+  eulerGimbalDistance,
+  alternateEuler,
+  quaternionToEuler,
+  quaternionFromConvention,
+  quaternionToConvention,
+  quaternionConventionLabel,
+  quaternionToAxisAngle,
+  alternateAxisAngle,
+  quaternionToMatrix,
+  axisAngleToQuaternion,
+  eulerToQuaternion,
+  composeQuaternions,
+  isValidRotationMatrix,
+  rotationMatrixError,
+  nearestRotationMatrix,
+  matrixToQuaternion,
+  matrixToAxisAngle,
+  rotationVectorToQuaternion,
+  quaternionToRotationVector,
+  gibbsToQuaternion,
+  quaternionToGibbs,
+  mrpToQuaternion,
+  quaternionToMRP,
+  sixDToMatrix,
+  matrixToSixD,
+  REPRESENTATION_SIZES,
+  toQuaternion,
+  fromQuaternion,
+  eulerSteps,
+} from "./conversion.js";
+import { formatVec, formatMatrix, formatSixD, closedForm } from "./format.js";
+import {
+  detectDelimiter,
+  parseDelimited,
+  looksLikeHeader,
+  resolveColumns,
+  convertRows,
+  representationColumns,
+  resultsToCSV,
+  resultsToJSON,
+} from "./batch.js";
+import { parseRotationSnippet } from "./paste.js";
+import { parseModel, fitMesh } from "./models.js";
+import {
+  FRAME_PRESETS,
+  frameHandedness,
+  frameDescription,
+  convertFrameRotation,
+} from "./frames.js";
+import {
+  SNIPPET_TARGETS,
+  OUTPUT_SNIPPET_TARGETS,
+  codeSnippet,
+} from "./snippets.js";
+import {
+  relativeRotation,
+  rotationDistances,
+  eulerDifferences,
+} from "./compare.js";
+import {
+  keyframeSegment,
+  interpolateKeyframes,
+  samplePath,
+} from "./interpolation.js";
+import {
+  DEFAULT_CAMERA_ORBIT,
+  setTargetRotation,
+  setAxisAngleVisible,
+  setGizmoEnabled,
+  onGizmoRotate,
+  getCameraOrbit,
+  setCameraOrbit,
+  onCameraChange,
+  setSequence,
+  playSequence,
+  stepSequence,
+  restartSequence,
+  onSequenceChange,
+  showRotation,
+  setInterpolationPath,
+  setComparison,
+  MODEL_RADIUS,
+  setModel,
+  setHandedness,
+} from "./viz.js";
+
+const glm = glMatrix;
+// The page computes in double precision, as conversion.js does: gl-matrix's
+// default Float32Array is too coarse for exact output
+glm.setMatrixArrayType(Array);
 
 document.addEventListener("DOMContentLoaded", function () {
   const errorDiv = document.getElementById("error-message");
@@ -40,14 +135,36 @@ document.addEventListener("DOMContentLoaded", function () {
       alpha: parseInput("alpha"),
       beta: parseInput("beta"),
       gamma: parseInput("gamma"),
+      order: document.getElementById("euler-order").value,
+      frame: document.getElementById("euler-frame").value,
+    };
+  }
+  // Euler sequence selected for the Euler output
+  function getEulerOutputOrder() {
+    return {
+      order: document.getElementById("euler-output-order").value,
+      frame: document.getElementById("euler-output-frame").value,
+    };
+  }
+  // Reads the three components of a vector input group, e.g. rotvecX
+  function getVectorInputs(prefix) {
+    return {
+      x: parseInput(`${prefix}X`),
+      y: parseInput(`${prefix}Y`),
+      z: parseInput(`${prefix}Z`),
+    };
+  }
+  function getQuaternionConvention(prefix) {
+    return {
+      order: document.getElementById(`${prefix}-order`).value,
+      algebra: document.getElementById(`${prefix}-algebra`).value,
     };
   }
   function getQuaternionFromInputs() {
-    const qx = parseInput("qx");
-    const qy = parseInput("qy");
-    const qz = parseInput("qz");
-    const qw = parseInput("qw");
-    const q = quat.fromValues(qx, qy, qz, qw);
+    // read the components in the order they are shown
+    const { order, algebra } = getQuaternionConvention("quat");
+    const values = order.split("").map((c) => parseInput(`q${c}`));
+    const q = quaternionFromConvention(values, order, algebra);
     try {
       quat.normalize(q, q);
     } catch (e) {
@@ -56,103 +173,476 @@ document.addEventListener("DOMContentLoaded", function () {
     return q;
   }
 
-  function isValidRotationMatrix(r) {
-    // R^T * R = I and det(R) = +1
-    const identity = mat3.create();
-    const rt = mat3.create();
-    mat3.transpose(rt, r);
-    const result = mat3.create();
-    mat3.multiply(result, rt, r);
-    const det = mat3.determinant(r);
-    if (!mat3.equals(result, identity) || det < 0.999 || det > 1.001) {
-      return false;
-    }
-    return true;
-  }
-
   function getMatrixFromInputs() {
-    // Read 3x3 matrix from inputs in column-major order, as used by mat3
-    let m = [];
+    // Read 3x3 matrix from inputs into the flat layout of the conventions
+    let m = new Array(9);
     for (let j = 0; j < 3; ++j) {
       for (let i = 0; i < 3; ++i) {
-        m.push(parseInput(`m${i}${j}`));
+        m[matrixIndex(i, j)] = parseInput(`m${i}${j}`);
       }
     }
     let rot = mat3.fromValues(...m);
+    hideMatrixProjection();
     if (!isValidRotationMatrix(rot)) {
-      throw new Error("Invalid rotation matrix");
+      const det = mat3.determinant(rot);
+      if (det < 0) {
+        throw new Error(
+          `Invalid rotation matrix: det = ${det.toFixed(4)}, so it is a ` +
+            "reflection (it mirrors space) and no rotation is close to it. " +
+            "Check for a flipped axis or a left-handed source frame."
+        );
+      }
+      // offer the nearest rotation, which only drives the outputs once the
+      // user confirms it
+      if (!offerMatrixProjection(rot)) {
+        throw new Error(
+          `Invalid rotation matrix: det = ${det.toFixed(4)}, so it is ` +
+            "singular (it flattens space) and has no nearest rotation. " +
+            "Check for a zero or repeated row or column."
+        );
+      }
+      throw new Error(
+        "Invalid rotation matrix: not orthonormal. Review the nearest " +
+          "rotation below."
+      );
     }
     return m;
   }
 
+  const matrixProjection = document.getElementById("matrix-projection");
+  let projectedMatrix = null;
+  function hideMatrixProjection() {
+    matrixProjection.style.display = "none";
+    projectedMatrix = null;
+  }
+  // Shows the nearest rotation to rot; false for singular matrices, which
+  // have none to offer
+  function offerMatrixProjection(rot) {
+    let nearest;
+    try {
+      nearest = nearestRotationMatrix(rot);
+    } catch (e) {
+      return false;
+    }
+    const { orthogonality, det } = rotationMatrixError(rot);
+    const diff = mat3.subtract(mat3.create(), rot, nearest);
+    document.getElementById("matrixProjectionReport").textContent =
+      `Orthogonality error |M\u1d40M \u2212 I| = ${orthogonality.toExponential(
+        2
+      )}, ` +
+      `det = ${det.toFixed(4)}. The nearest rotation is ` +
+      `|M \u2212 R| = ${mat3.frob(diff).toExponential(2)} away:`;
+    matrixProjection.style.display = "";
+    projectedMatrix = nearest;
+    renderMatrixProjection();
+    return true;
+  }
+  // The offered rotation, in the number format of the outputs
+  function renderMatrixProjection() {
+    if (!projectedMatrix) return;
+    document.getElementById("matrixProjectionOut").textContent = formatMatrix(
+      projectedMatrix,
+      numberFormat()
+    );
+  }
+  // Replaces the matrix inputs by the nearest rotation
+  document
+    .getElementById("matrix-project-confirm")
+    .addEventListener("click", () => {
+      if (!projectedMatrix) return;
+      for (let j = 0; j < 3; ++j) {
+        for (let i = 0; i < 3; ++i) {
+          const v = projectedMatrix[matrixIndex(i, j)];
+          document.getElementById(`m${i}${j}`).value = String(
+            parseFloat(v.toFixed(9))
+          );
+        }
+      }
+      errorDiv.textContent = "";
+      updateGroups();
+    });
+
+  // Reads the two 6D columns, the table is laid out like the matrix input
+  function getSixDInputs() {
+    const columns = [vec3.create(), vec3.create()];
+    for (let j = 0; j < 2; ++j) {
+      for (let i = 0; i < 3; ++i) {
+        columns[j][i] = parseInput(`sixd${i}${j}`);
+      }
+    }
+    return columns;
+  }
+
   const rotationType = document.getElementById("rotationType");
   const groups = {
     "axis-angle": document.getElementById("axis-angle-group"),
     euler: document.getElementById("euler-group"),
     quaternion: document.getElementById("quaternion-group"),
     matrix: document.getElementById("matrix-group"),
+    "rotation-vector": document.getElementById("rotation-vector-group"),
+    gibbs: document.getElementById("gibbs-group"),
+    mrp: document.getElementById("mrp-group"),
+    "6d": document.getElementById("6d-group"),
+    composition: document.getElementById("composition-group"),
+    interpolation: document.getElementById("interpolation-group"),
+    compare: document.getElementById("compare-group"),
+    batch: document.getElementById("batch-group"),
   };
   const DEFAULTS = {
     axisAngle: [1, 0, 0, 0], // axis z, angle 0
     euler: [0, 0, 0],
     quat: [0, 0, 0, 1],
     matrix: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    vector: [0, 0, 0],
+    sixD: [1, 0, 0, 0, 1, 0],
   };
   const outputGroups = {
     "axis-angle": document.getElementById("axis-angle-output-group"),
     euler: document.getElementById("euler-output-group"),
     quaternion: document.getElementById("quaternion-output-group"),
     matrix: document.getElementById("matrix-output-group"),
+    "rotation-vector": document.getElementById("rotation-vector-output-group"),
+    gibbs: document.getElementById("gibbs-output-group"),
+    mrp: document.getElementById("mrp-output-group"),
+    "6d": document.getElementById("6d-output-group"),
   };
+  // The rotation of the page, which every output, the view and the code
+  // snippets are derived from: the active quat q read from the source input
+  // group, plus the matrix m of matrix and 6D input, and in compare mode the
+  // pair of rotations q is the relative rotation of. null while the input is
+  // invalid
+  let rotation = null; // { q, m, source, pair }
 
-  // helpers for formatting output
-  // arr is an array-like object of numbers
-  // digits can be a number or an array of per-element decimal places
-  function formatVec(arr, digits = 4, sep = "\t") {
-    if (Array.isArray(digits)) {
-      return Array.from(arr)
-        .map((v, i) => {
-          const d = digits[i] !== undefined ? digits[i] : 4;
-          return v.toFixed(d);
-        })
-        .join(sep);
-    } else {
-      return Array.from(arr)
-        .map((v) => v.toFixed(digits))
-        .join(sep);
-    }
-  }
-
-  function formatMatrix(mat, digits = 4) {
-    return (
-      mat[0].toFixed(digits) +
-      "  " +
-      mat[3].toFixed(digits) +
-      "  " +
-      mat[6].toFixed(digits) +
-      "\n" +
-      mat[1].toFixed(digits) +
-      "  " +
-      mat[4].toFixed(digits) +
-      "  " +
-      mat[7].toFixed(digits) +
-      "\n" +
-      mat[2].toFixed(digits) +
-      "  " +
-      mat[5].toFixed(digits) +
-      "  " +
-      mat[8].toFixed(digits)
-    );
-  }
   function setOutputsToDefault() {
+    const format = numberFormat();
     document.getElementById("axisAngleOut").textContent = formatVec(
-      DEFAULTS.axisAngle
+      DEFAULTS.axisAngle,
+      format
     );
-    document.getElementById("eulerOut").textContent = formatVec(DEFAULTS.euler);
-    document.getElementById("quatOut").textContent = formatVec(DEFAULTS.quat);
+    document.getElementById("eulerOut").textContent = formatVec(
+      DEFAULTS.euler,
+      format
+    );
+    document.getElementById("axisAngleAltOut").textContent = "";
+    document.getElementById("eulerAltOut").textContent = "";
+    document.getElementById("eulerWarning").textContent = "";
+    document.getElementById("quatOut").textContent = formatVec(
+      DEFAULTS.quat,
+      format
+    );
+    document.getElementById("quatAntipodeOut").textContent = "";
     document.getElementById("matOut").textContent = formatMatrix(
-      DEFAULTS.matrix
+      DEFAULTS.matrix,
+      format
+    );
+    document.getElementById("matFlatOut").textContent = formatVec(
+      DEFAULTS.matrix,
+      format,
+      ", "
     );
+    ["rotvecOut", "gibbsOut", "mrpOut"].forEach((id) => {
+      document.getElementById(id).textContent = formatVec(
+        DEFAULTS.vector,
+        format
+      );
+    });
+    document.getElementById("mrpShadowOut").textContent = "";
+    document.getElementById("sixdOut").textContent = formatSixD(
+      DEFAULTS.sixD,
+      format
+    );
+    document.getElementById("compare-metrics").textContent = "";
+  }
+
+  // Number format of the outputs, from the digits and notation controls:
+  // fixed decimals, two fewer for angles in degrees; significant digits in
+  // scientific notation; or closed forms where exact mode finds one (see
+  // closedForm in format.js)
+  // unit is "deg" or "rad" for angles
+  function numberFormat(unit) {
+    let digits = parseInt(document.getElementById("output-digits").value, 10);
+    if (!(digits >= 0)) digits = 4;
+    digits = Math.min(digits, 15);
+    const decimals = unit === "deg" ? Math.max(digits - 2, 0) : digits;
+    const notation = document.getElementById("output-notation").value;
+    return (v) => {
+      if (notation === "scientific") {
+        return v.toExponential(Math.max(digits - 1, 0));
+      }
+      const form = notation === "exact" ? closedForm(v, unit) : null;
+      return form !== null ? form : v.toFixed(decimals);
+    };
+  }
+
+  // Output renderers: each writes the rotation into its output group, in the
+  // settings of the group's selects
+
+  // Matrix input gives the axis-angle of the matrix itself
+  // The same rotation about the negated axis is shown below it
+  function renderAxisAngleOutput({ q, m }) {
+    const degOrRad = document.getElementById("axis-angle-output-degRad").value;
+    const axisAngle = vec4.create();
+    if (m) {
+      matrixToAxisAngle(axisAngle, m, degOrRad);
+    } else {
+      quaternionToAxisAngle(axisAngle, q, degOrRad);
+    }
+    const format = numberFormat();
+    const digits = [format, format, format, numberFormat(degOrRad)];
+    document.getElementById("axisAngleOut").textContent = formatVec(
+      axisAngle,
+      digits
+    );
+    document.getElementById("axisAngleAltOut").textContent = formatVec(
+      alternateAxisAngle(vec4.create(), axisAngle, degOrRad),
+      digits
+    );
+  }
+
+  // q in the sign of the convention, and -q, the same rotation
+  function renderQuaternionOutput({ q }) {
+    const { order, algebra } = getQuaternionConvention("quat-output");
+    const values = quaternionToConvention(vec4.create(), q, order, algebra);
+    document.getElementById("quatOut").textContent = formatVec(
+      values,
+      numberFormat()
+    );
+    document.getElementById("quatAntipodeOut").textContent = formatVec(
+      values.map((v) => -v),
+      numberFormat()
+    );
+  }
+
+  function renderMatrixOutput({ q }) {
+    const mat = quaternionToMatrix(quat.clone(q));
+    const format = numberFormat();
+    document.getElementById("matOut").textContent = formatMatrix(mat, format);
+    document.getElementById("matFlatOut").textContent = formatVec(
+      mat,
+      format,
+      ", "
+    );
+  }
+
+  function renderSixDOutput({ q }) {
+    document.getElementById("sixdOut").textContent = formatSixD(
+      matrixToSixD(new Array(6), quaternionToMatrix(quat.clone(q))),
+      numberFormat()
+    );
+  }
+
+  function renderRotationVectorOutput({ q }) {
+    const degOrRad = document.getElementById("rotvec-output-degRad").value;
+    const rotvec = quaternionToRotationVector(vec3.create(), q, degOrRad);
+    document.getElementById("rotvecOut").textContent = formatVec(
+      rotvec,
+      numberFormat(degOrRad)
+    );
+  }
+
+  // Gibbs vectors and MRP shadow sets can be infinite, which is reported in
+  // place of the numbers
+  function formatUnbounded(convert) {
+    try {
+      return formatVec(convert(vec3.create()), numberFormat());
+    } catch (e) {
+      return "\u221e (undefined)";
+    }
+  }
+
+  function renderGibbsOutput({ q }) {
+    document.getElementById("gibbsOut").textContent = formatUnbounded((out) =>
+      quaternionToGibbs(out, q)
+    );
+  }
+
+  function renderMRPOutput({ q }) {
+    document.getElementById("mrpOut").textContent = formatUnbounded((out) =>
+      quaternionToMRP(out, q)
+    );
+    document.getElementById("mrpShadowOut").textContent = formatUnbounded(
+      (out) => quaternionToMRP(out, q, true)
+    );
+  }
+
+  // Euler output with gimbal lock warning and the alternate solution
+  function renderEulerOutput({ q }) {
+    const eulerDegOrRad = document.getElementById("euler-output-degRad").value;
+    const { order, frame } = getEulerOutputOrder();
+    const lockedAngle = document.getElementById("euler-output-lock").value;
+    const euler = vec3.create();
+    quaternionToEuler(euler, q, eulerDegOrRad, order, frame, lockedAngle);
+
+    const format = numberFormat(eulerDegOrRad);
+    document.getElementById("eulerOut").textContent = formatVec(euler, format);
+
+    const altOut = document.getElementById("eulerAltOut");
+    const warning = document.getElementById("eulerWarning");
+    // distances from gimbal lock are compared in degrees
+    let distance = eulerGimbalDistance(euler[1], order, eulerDegOrRad);
+    if (eulerDegOrRad === "rad") distance = glm.toDegree(distance);
+    let threshold = parseFloat(
+      document.getElementById("gimbal-threshold").value
+    );
+    if (!(threshold >= 0)) threshold = 0;
+    if (distance <= glm.toDegree(GIMBAL_LOCK_EPS)) {
+      // infinitely many solutions, only the coupled rotation is defined
+      altOut.textContent = "";
+      warning.textContent =
+        `Gimbal lock: the first and third axes are aligned, so only their ` +
+        `combined rotation is defined. It is assigned to the ${lockedAngle} ` +
+        `angle; infinitely many other solutions exist.`;
+    } else {
+      altOut.textContent = formatVec(
+        alternateEuler(vec3.create(), euler, order, eulerDegOrRad),
+        format
+      );
+      if (distance <= threshold) {
+        warning.textContent =
+          `Near gimbal lock: the middle angle is ${distance.toFixed(
+            2
+          )}\u00b0 ` +
+          `from the singularity, so the outer angles are ill-conditioned.`;
+      } else {
+        warning.textContent = "";
+      }
+    }
+  }
+
+  // Distances between the compared rotations, shown in the compare group;
+  // Euler differences are taken in the sequence and unit of the Euler output
+  function renderDistances({ pair }) {
+    const metrics = document.getElementById("compare-metrics");
+    if (!pair) {
+      metrics.textContent = "";
+      return;
+    }
+    const [q1, q2] = pair;
+    const { geodesic, chordal, quaternion } = rotationDistances(q1, q2);
+    const { order, frame } = getEulerOutputOrder();
+    const degOrRad = document.getElementById("euler-output-degRad").value;
+    const euler = eulerDifferences([], q1, q2, degOrRad, order, frame);
+    const format = numberFormat();
+    metrics.textContent = [
+      `Geodesic angle: ${numberFormat("deg")(
+        glm.toDegree(geodesic)
+      )}\u00b0 = ${numberFormat("rad")(geodesic)} rad`,
+      `Chordal distance \u2016R\u2081 \u2212 R\u2082\u2016: ${format(chordal)}`,
+      `Quaternion distance 1 \u2212 |q\u2081\u00b7q\u2082|: ${format(
+        quaternion
+      )}`,
+      `Euler differences (${frame} ${order}, ${degOrRad}):`,
+      formatVec(euler, numberFormat(degOrRad)),
+    ].join("\n");
+  }
+
+  // Output adapters: the renderer of each output and the ids of the settings
+  // it reads. A change of a setting renders that output again from the
+  // rotation, so switching units never loses precision
+  const OUTPUT_ADAPTERS = {
+    "axis-angle": {
+      settings: ["axis-angle-output-degRad"],
+      render: renderAxisAngleOutput,
+    },
+    euler: {
+      settings: [
+        "euler-output-degRad",
+        "euler-output-order",
+        "euler-output-frame",
+        "euler-output-lock",
+        "gimbal-threshold",
+      ],
+      render: renderEulerOutput,
+    },
+    quaternion: {
+      settings: ["quat-output-order", "quat-output-algebra"],
+      render: renderQuaternionOutput,
+    },
+    matrix: { settings: [], render: renderMatrixOutput },
+    "rotation-vector": {
+      settings: ["rotvec-output-degRad"],
+      render: renderRotationVectorOutput,
+    },
+    gibbs: { settings: [], render: renderGibbsOutput },
+    mrp: { settings: [], render: renderMRPOutput },
+    "6d": { settings: [], render: renderSixDOutput },
+    distances: {
+      settings: [
+        "euler-output-degRad",
+        "euler-output-order",
+        "euler-output-frame",
+      ],
+      render: renderDistances,
+    },
+  };
+
+  function renderOutputs() {
+    if (!rotation) {
+      setOutputsToDefault();
+      return;
+    }
+    Object.values(OUTPUT_ADAPTERS).forEach(({ render }) => render(rotation));
+  }
+
+  // States the rotation sense, and the matrix layout where it matters, next to
+  // each output
+  function updateConventionNotes() {
+    const conventions = getConventions();
+    const sense =
+      conventions.sense === "active"
+        ? "Active: rotates vectors"
+        : "Passive: transforms coordinates into the rotated frame";
+    // angles turn by the left-hand rule in left-handed axes
+    const axes = conventions.handedness === "left" ? "; left-handed axes" : "";
+    document.querySelectorAll("#outputs .convention-note").forEach((note) => {
+      if ("layout" in note.dataset) {
+        note.textContent = `${sense}${axes}; flat ${conventions.layout}-major`;
+      } else {
+        note.textContent = `${sense}${axes}`;
+      }
+    });
+  }
+
+  // Fills the matrix table from a flat list of 9 values in the current layout
+  function fillMatrixFromFlat(raw) {
+    const values = raw
+      .replace(/[[\]{}()]/g, " ")
+      .trim()
+      .split(/[\s,;]+/);
+    if (values.length !== 9) {
+      throw new Error(`Flat matrix needs 9 values, got ${values.length}`);
+    }
+    for (let j = 0; j < 3; ++j) {
+      for (let i = 0; i < 3; ++i) {
+        const value = values[matrixIndex(i, j)];
+        try {
+          math.evaluate(value);
+        } catch (e) {
+          throw new Error(`Invalid input for flat matrix: ${value}`);
+        }
+        document.getElementById(`m${i}${j}`).value = value;
+      }
+    }
+  }
+
+  // Shows the active quaternion conventions and puts the w input first for
+  // scalar-first order
+  function updateQuaternionLabels() {
+    const input = getQuaternionConvention("quat");
+    const output = getQuaternionConvention("quat-output");
+    document.getElementById("quatInLabel").textContent =
+      quaternionConventionLabel(input.order, input.algebra);
+    document.getElementById("quatOutLabel").textContent =
+      quaternionConventionLabel(output.order, output.algebra);
+
+    const fields = document.getElementById("quat-fields");
+    const wLabel = document.getElementById("qw").parentElement;
+    const wBreak = wLabel.nextElementSibling;
+    if (input.order === "wxyz") {
+      fields.prepend(wLabel, wBreak);
+    } else {
+      fields.append(wLabel, wBreak);
+    }
   }
 
   // Helper to set input fields readonly or editable
@@ -173,6 +663,12 @@ document.addEventListener("DOMContentLoaded", function () {
     const selected = rotationType.value;
     groups[selected].style.display = "";
     setInputsEditable(selected, true);
+    if (selected !== "interpolation") {
+      setInterpolationPath(null);
+    }
+    if (selected !== "compare") {
+      setComparison(null);
+    }
     updateEquivalents(selected);
 
     // Hide selected output, show others
@@ -181,147 +677,896 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   }
 
-  function updateEquivalents(selected) {
-    if (selected === "axis-angle") {
-      let x, y, z, angle;
+  // Input adapters: each reads its input group as the active quat q, plus the
+  // matrix m for matrix and 6D input
+  const INPUT_ADAPTERS = {
+    "axis-angle": () => {
+      const { x, y, z, angle } = getAxisAngleInputs();
+      const degOrRad = document.getElementById("axis-angle-degRad").value;
+      return { q: axisAngleToQuaternion(x, y, z, angle, degOrRad) };
+    },
+    euler: () => {
+      const { alpha, beta, gamma, order, frame } = getEulerInputs();
+      const degOrRad = document.getElementById("euler-degRad").value;
+      return {
+        q: eulerToQuaternion(alpha, beta, gamma, degOrRad, order, frame),
+      };
+    },
+    quaternion: () => ({ q: getQuaternionFromInputs() }),
+    matrix: () => {
+      const m = getMatrixFromInputs();
+      return { q: matrixToQuaternion(m), m };
+    },
+    "6d": () => {
+      const m = sixDToMatrix(...getSixDInputs());
+      return { q: matrixToQuaternion(m), m };
+    },
+    "rotation-vector": () => {
+      const { x, y, z } = getVectorInputs("rotvec");
+      const degOrRad = document.getElementById("rotvec-degRad").value;
+      return { q: rotationVectorToQuaternion(x, y, z, degOrRad) };
+    },
+    gibbs: () => {
+      const { x, y, z } = getVectorInputs("gibbs");
+      return { q: gibbsToQuaternion(x, y, z) };
+    },
+    mrp: () => {
+      const { x, y, z } = getVectorInputs("mrp");
+      return { q: mrpToQuaternion(x, y, z) };
+    },
+    composition: () => ({ q: getCompositionFromInputs() }),
+    interpolation: () => ({ q: getInterpolationFromInputs() }),
+    compare: getComparisonFromInputs,
+    batch: () => ({ q: getBatchFromInputs() }),
+  };
+
+  function getSelectedRotation(selected) {
+    const read = INPUT_ADAPTERS[selected];
+    if (!read) {
+      throw new Error(`Unknown rotation representation: ${selected}`);
+    }
+    return read();
+  }
+
+  // Composition workbench: a product of rotations, each entered as a list of
+  // comma-separated values in any representation
+  // defaults are the identity rotation, options are the ids of the input
+  // group selects each term gets a copy of, keyed by the option they set
+  const TERM_TYPES = {
+    "axis-angle": {
+      defaults: "0, 0, 1, 0",
+      options: { degOrRad: "axis-angle-degRad" },
+    },
+    euler: {
+      defaults: "0, 0, 0",
+      options: {
+        degOrRad: "euler-degRad",
+        frame: "euler-frame",
+        order: "euler-order",
+      },
+    },
+    quaternion: {
+      defaults: "0, 0, 0, 1",
+      options: { order: "quat-order", algebra: "quat-algebra" },
+    },
+    matrix: { defaults: "1, 0, 0, 0, 1, 0, 0, 0, 1", options: {} },
+    "rotation-vector": {
+      defaults: "0, 0, 0",
+      options: { degOrRad: "rotvec-degRad" },
+    },
+    gibbs: { defaults: "0, 0, 0", options: {} },
+    mrp: { defaults: "0, 0, 0", options: {} },
+    "6d": { defaults: "1, 0, 0, 0, 1, 0", options: {} },
+  };
+  const compositionTerms = document.getElementById("composition-terms");
+
+  // Fills span with copies of the selects with the given ids, keyed by the
+  // option they set, and reads them back as an options object
+  function cloneOptionSelects(span, options) {
+    span.replaceChildren();
+    Object.entries(options).forEach(([name, id]) => {
+      const source = document.getElementById(id);
+      const select = source.cloneNode(true);
+      select.removeAttribute("id");
+      select.value = source.value;
+      select.dataset.option = name;
+      span.append(select);
+    });
+  }
+  function readOptionSelects(span) {
+    const options = {};
+    span.querySelectorAll("select").forEach((select) => {
+      options[select.dataset.option] = select.value;
+    });
+    return options;
+  }
+
+  // Shows the selects of the term's representation and resets its values
+  function setTermType(term, type) {
+    const { defaults, options } = TERM_TYPES[type];
+    cloneOptionSelects(term.querySelector(".term-options"), options);
+    term.querySelector(".term-values").value = defaults;
+  }
+
+  // Adds a term from the template with the given id to container: a
+  // representation select, its option selects and a values field; the remove
+  // button keeps at least minCount terms
+  function addRotationTerm(container, templateId, minCount, type) {
+    const term = document
+      .getElementById(templateId)
+      .content.firstElementChild.cloneNode(true);
+    const typeSelect = term.querySelector(".term-type");
+    Object.keys(TERM_TYPES).forEach((key) => {
+      const option = rotationType.querySelector(`option[value="${key}"]`);
+      typeSelect.append(option.cloneNode(true));
+    });
+    typeSelect.value = type;
+    // select fires "input" before "change", so recompute after the reset
+    typeSelect.addEventListener("change", () => {
+      setTermType(term, typeSelect.value);
+      errorDiv.textContent = "";
+      updateGroups();
+    });
+    const remove = term.querySelector(".term-remove");
+    if (remove) {
+      remove.addEventListener("click", () => {
+        if (container.children.length > minCount) {
+          term.remove();
+          updateGroups();
+        }
+      });
+    }
+    setTermType(term, type);
+    container.append(term);
+    return term;
+  }
+
+  function addCompositionTerm(type = "axis-angle") {
+    return addRotationTerm(
+      compositionTerms,
+      "composition-term-template",
+      1,
+      type
+    );
+  }
+
+  // Active quat of a term's comma-separated values
+  function readTermQuaternion(term) {
+    const type = term.querySelector(".term-type").value;
+    const raw = term.querySelector(".term-values").value;
+    const parts = raw.trim() === "" ? [] : raw.split(",");
+    if (parts.length !== REPRESENTATION_SIZES[type]) {
+      throw new Error(
+        `expected ${REPRESENTATION_SIZES[type]} values, got ${parts.length}`
+      );
+    }
+    const values = parts.map((part) => {
       try {
-        ({ x, y, z, angle } = getAxisAngleInputs());
+        return math.evaluate(part.trim());
       } catch (e) {
-        errorDiv.textContent = e.message;
-        setOutputsToDefault();
-        return;
+        throw new Error(`invalid value ${part.trim()}`);
       }
-      const axisAngleDegOrRad =
-        document.getElementById("axis-angle-degRad").value;
-      const q = axisAngleToQuaternion(x, y, z, angle, axisAngleDegOrRad);
-
-      const mat = mat3.create();
-      mat3.fromQuat(mat, q);
-
-      const eulerDegOrRad = document.getElementById(
-        "euler-output-degRad"
-      ).value;
-      const euler = vec3.create();
-      quaternionToEuler(euler, q, eulerDegOrRad);
-
-      document.getElementById("quatOut").textContent = formatVec(q);
-      document.getElementById("matOut").textContent = formatMatrix(mat);
-      let digits = 4;
-      if (eulerDegOrRad === "deg") digits = 2;
-      document.getElementById("eulerOut").textContent = formatVec(
-        euler,
-        digits
-      );
+    });
+    const options = readOptionSelects(term.querySelector(".term-options"));
+    return toQuaternion(type, values, options);
+  }
 
-      setTargetRotation(q);
-    } else if (selected === "euler") {
-      const { alpha, beta, gamma } = getEulerInputs(); // TODO: support order
-
-      const eulerdegOrRad = document.getElementById("euler-degRad").value;
-      const q = eulerToQuaternion(alpha, beta, gamma, eulerdegOrRad);
-      const mat = quaternionToMatrix(q);
-
-      const axisAngleDegOrRad = document.getElementById(
-        "axis-angle-output-degRad"
-      ).value;
-      const axisAngle = vec4.create();
-      quaternionToAxisAngle(axisAngle, q, axisAngleDegOrRad);
-
-      document.getElementById("quatOut").textContent = formatVec(q);
-      document.getElementById("matOut").textContent = formatMatrix(mat);
-      if (axisAngleDegOrRad === "deg") {
-        document.getElementById("axisAngleOut").textContent = formatVec(
-          axisAngle,
-          [4, 4, 4, 2]
-        );
-      } else {
-        document.getElementById("axisAngleOut").textContent =
-          formatVec(axisAngle);
+  function getCompositionFromInputs() {
+    const terms = Array.from(compositionTerms.children);
+    const order = document.getElementById("composition-order").value;
+    updateCompositionFormula(terms, order);
+    const qs = terms.map((term, n) => {
+      try {
+        const q = readTermQuaternion(term);
+        if (term.querySelector(".term-invert").checked) {
+          quat.invert(q, q);
+        }
+        return q;
+      } catch (e) {
+        throw new Error(`Rotation ${n + 1}: ${e.message}`);
+      }
+    });
+    // the first term is leftmost for "left", rightmost for "right"
+    if (order === "right") {
+      qs.reverse();
+    }
+    return composeQuaternions(qs);
+  }
+
+  function updateCompositionFormula(terms, order) {
+    const factors = terms.map((term, n) => {
+      const inverse = term.querySelector(".term-invert").checked;
+      return `R${n + 1}${inverse ? "\u207b\u00b9" : ""}`;
+    });
+    if (order === "right") {
+      factors.reverse();
+    }
+    document.getElementById("compositionFormula").textContent =
+      "R = " + factors.join(" \u00b7 ");
+  }
+
+  document.getElementById("composition-add").addEventListener("click", () => {
+    addCompositionTerm();
+    updateGroups();
+  });
+  // Sets up the relative rotation q1^-1 * q2 from the first two terms
+  document
+    .getElementById("composition-relative")
+    .addEventListener("click", () => {
+      while (compositionTerms.children.length < 2) {
+        addCompositionTerm();
+      }
+      while (compositionTerms.children.length > 2) {
+        compositionTerms.lastElementChild.remove();
       }
+      const [first, second] = compositionTerms.children;
+      first.querySelector(".term-invert").checked = true;
+      second.querySelector(".term-invert").checked = false;
+      document.getElementById("composition-order").value = "left";
+      updateGroups();
+    });
+
+  // Interpolation explorer: the rotation at time t of the path through the
+  // keyframes, with the whole path drawn in the view
+  const interpolationKeyframes = document.getElementById(
+    "interpolation-keyframes"
+  );
+  const PATH_SAMPLES = 50; // per keyframe segment
+
+  function addKeyframe(type = "axis-angle") {
+    return addRotationTerm(
+      interpolationKeyframes,
+      "interpolation-keyframe-template",
+      2,
+      type
+    );
+  }
+
+  function getInterpolationFromInputs() {
+    // the path and status stay empty until every keyframe reads
+    const status = document.getElementById("interpolation-status");
+    status.textContent = "";
+    setInterpolationPath(null);
+    const keyframes = Array.from(interpolationKeyframes.children).map(
+      (term, n) => {
+        try {
+          return readTermQuaternion(term);
+        } catch (e) {
+          throw new Error(`Keyframe ${n + 1}: ${e.message}`);
+        }
+      }
+    );
+    const method = document.getElementById("interpolation-method").value;
+    const path = document.getElementById("interpolation-path").value;
+    const t = parseFloat(document.getElementById("interpolation-t").value);
+    const q = interpolateKeyframes(quat.create(), keyframes, t, method, path);
+    setInterpolationPath({
+      samples: samplePath(
+        keyframes,
+        method,
+        path,
+        PATH_SAMPLES * (keyframes.length - 1)
+      ),
+      keyframes,
+    });
+    const { segment, u } = keyframeSegment(keyframes.length, t);
+    status.textContent =
+      `t = ${t.toFixed(3)}: ${Math.round(u * 100)}% of the way from ` +
+      `keyframe ${segment + 1} to keyframe ${segment + 2}`;
+    return q;
+  }
 
-      setTargetRotation(q);
-    } else if (selected === "quaternion") {
-      let q;
+  document.getElementById("interpolation-add").addEventListener("click", () => {
+    addKeyframe();
+    updateGroups();
+  });
+  // keyframes are added after the page loads, so errors are cleared here
+  groups.interpolation.addEventListener("input", () => {
+    errorDiv.textContent = "";
+  });
+
+  // Compare mode: two rotations, with their distances and, in the outputs,
+  // the relative rotation that turns the first into the second
+  const compareTerms = document.getElementById("compare-terms");
+
+  function addCompareTerm(type = "axis-angle") {
+    return addRotationTerm(compareTerms, "compare-term-template", 2, type);
+  }
+
+  function getComparisonFromInputs() {
+    const pair = Array.from(compareTerms.children).map((term, n) => {
       try {
-        q = getQuaternionFromInputs();
+        return readTermQuaternion(term);
       } catch (e) {
-        errorDiv.textContent = e.message;
-        setOutputsToDefault();
-        return;
+        throw new Error(`Rotation ${n + 1}: ${e.message}`);
       }
-      const mat = quaternionToMatrix(q);
-
-      const axisAngleDegOrRad = document.getElementById(
-        "axis-angle-output-degRad"
-      ).value;
-      const axisAngle = vec4.create();
-      quaternionToAxisAngle(axisAngle, q, axisAngleDegOrRad);
-      const eulerDegOrRad = document.getElementById(
-        "euler-output-degRad"
-      ).value;
-      const euler = vec3.create();
-      quaternionToEuler(euler, q, eulerDegOrRad);
-      document.getElementById("matOut").textContent = formatMatrix(mat);
-      if (axisAngleDegOrRad === "deg") {
-        document.getElementById("axisAngleOut").textContent = formatVec(
-          axisAngle,
-          [4, 4, 4, 2]
-        );
+    });
+    return { q: relativeRotation(quat.create(), ...pair), pair };
+  }
+
+  // the terms are added after the page loads, so errors are cleared here
+  groups.compare.addEventListener("input", () => {
+    errorDiv.textContent = "";
+  });
+
+  // Batch mode: converts every row of pasted or uploaded delimited text, and
+  // shows the selected row in the outputs
+  // Output options are copies of the output group selects
+  const BATCH_OUTPUT_OPTIONS = {
+    "axis-angle": { degOrRad: "axis-angle-output-degRad" },
+    euler: {
+      degOrRad: "euler-output-degRad",
+      frame: "euler-output-frame",
+      order: "euler-output-order",
+      lockedAngle: "euler-output-lock",
+    },
+    quaternion: { order: "quat-output-order", algebra: "quat-output-algebra" },
+    matrix: {},
+    "rotation-vector": { degOrRad: "rotvec-output-degRad" },
+    gibbs: {},
+    mrp: {},
+    "6d": {},
+  };
+  const batchInputType = document.getElementById("batch-input-type");
+  const batchOutputType = document.getElementById("batch-output-type");
+  const batchInputOptions = document.getElementById("batch-input-options");
+  const batchOutputOptions = document.getElementById("batch-output-options");
+  const batchText = document.getElementById("batch-text");
+  // results and settings of the last conversion, for the downloads
+  let batch = { results: [], header: null, spec: null };
+  let batchSelected = 0;
+
+  [batchInputType, batchOutputType].forEach((select) => {
+    Object.keys(TERM_TYPES).forEach((key) => {
+      const option = rotationType.querySelector(`option[value="${key}"]`);
+      select.append(option.cloneNode(true));
+    });
+  });
+  batchInputType.value = "quaternion";
+  batchOutputType.value = "euler";
+  function setBatchTypes() {
+    cloneOptionSelects(
+      batchInputOptions,
+      TERM_TYPES[batchInputType.value].options
+    );
+    cloneOptionSelects(
+      batchOutputOptions,
+      BATCH_OUTPUT_OPTIONS[batchOutputType.value]
+    );
+  }
+  setBatchTypes();
+  // select fires "input" before "change", so recompute after the reset
+  [batchInputType, batchOutputType].forEach((select) => {
+    select.addEventListener("change", () => {
+      setBatchTypes();
+      errorDiv.textContent = "";
+      updateGroups();
+    });
+  });
+
+  // A number from a math expression, as in the input fields: batch cells and
+  // pasted values
+  function parseExpression(cell) {
+    let value;
+    try {
+      value = math.evaluate(cell);
+    } catch (e) {
+      throw new Error(`invalid value ${cell}`);
+    }
+    if (typeof value !== "number") {
+      throw new Error(`invalid value ${cell}`);
+    }
+    return value;
+  }
+
+  // Converts the batch text and lists the results; returns the quaternion of
+  // the selected row, or of the first row that converted
+  function getBatchFromInputs() {
+    batch = { results: [], header: null, spec: null };
+    renderBatchResults();
+    const text = batchText.value;
+    const delimiter = document.getElementById("batch-delimiter").value;
+    const rows = parseDelimited(
+      text,
+      delimiter === "auto" ? detectDelimiter(text) : delimiter
+    );
+    const headerMode = document.getElementById("batch-header").value;
+    let header = null;
+    if (
+      rows.length > 0 &&
+      (headerMode === "yes" ||
+        (headerMode === "auto" &&
+          looksLikeHeader(rows[0].cells, parseExpression)))
+    ) {
+      header = rows.shift().cells;
+    }
+    const type = batchInputType.value;
+    const spec = {
+      input: {
+        type,
+        options: readOptionSelects(batchInputOptions),
+        columns: resolveColumns(
+          document.getElementById("batch-columns").value,
+          header,
+          REPRESENTATION_SIZES[type]
+        ),
+      },
+      output: {
+        type: batchOutputType.value,
+        options: readOptionSelects(batchOutputOptions),
+      },
+    };
+    const results = convertRows(rows, spec, parseExpression);
+    batch = { results, header, spec };
+    renderBatchResults();
+
+    if (results.length === 0) {
+      throw new Error("Batch: paste rows or choose a file to convert");
+    }
+    if (!results[batchSelected] || results[batchSelected].error) {
+      batchSelected = results.findIndex((r) => !r.error);
+    }
+    if (batchSelected < 0) {
+      batchSelected = 0;
+      throw new Error("Batch: no row could be converted");
+    }
+    markBatchSelection();
+    return results[batchSelected].q;
+  }
+
+  // Unit of each value of a batch output, for its number format: "deg" or
+  // "rad" for angles, undefined for the others
+  function batchColumnUnits({ type, options }) {
+    return Array.from({ length: REPRESENTATION_SIZES[type] }, (_, k) =>
+      type === "euler" ||
+      type === "rotation-vector" ||
+      (type === "axis-angle" && k === 3)
+        ? options.degOrRad
+        : undefined
+    );
+  }
+
+  function renderBatchResults() {
+    const { results, spec } = batch;
+    const table = document.getElementById("batch-results");
+    if (!spec) {
+      document.getElementById("batch-summary").textContent = "";
+      table.querySelector("thead").replaceChildren();
+      table.querySelector("tbody").replaceChildren();
+      return;
+    }
+    const failed = results.filter((r) => r.error).length;
+    document.getElementById("batch-summary").textContent =
+      results.length === 0
+        ? ""
+        : `${results.length - failed} of ${results.length} rows converted` +
+          (failed > 0 ? `, ${failed} with errors` : "");
+    const headRow = document.createElement("tr");
+    ["line"]
+      .concat(representationColumns(spec.output.type, spec.output.options))
+      .forEach((name) => {
+        const th = document.createElement("th");
+        th.textContent = name;
+        headRow.append(th);
+      });
+    table.querySelector("thead").replaceChildren(headRow);
+    const formats = batchColumnUnits(spec.output).map(numberFormat);
+    const body = results.map((r, n) => {
+      const tr = document.createElement("tr");
+      const line = document.createElement("td");
+      line.textContent = r.line;
+      tr.append(line);
+      if (r.error) {
+        const td = document.createElement("td");
+        td.className = "batch-error";
+        td.colSpan = headRow.children.length - 1;
+        td.textContent = r.error;
+        tr.append(td);
       } else {
-        document.getElementById("axisAngleOut").textContent =
-          formatVec(axisAngle);
+        r.values.forEach((v, k) => {
+          const td = document.createElement("td");
+          td.textContent = formats[k](v);
+          tr.append(td);
+        });
+        tr.addEventListener("click", () => {
+          batchSelected = n;
+          updateGroups();
+        });
       }
-      let digits = 4;
-      if (eulerDegOrRad === "deg") digits = 2;
-      document.getElementById("eulerOut").textContent = formatVec(
-        euler,
-        digits
+      return tr;
+    });
+    table.querySelector("tbody").replaceChildren(...body);
+  }
+
+  function markBatchSelection() {
+    const rows = document.querySelectorAll("#batch-results tbody tr");
+    rows.forEach((tr, n) => {
+      tr.classList.toggle("selected", n === batchSelected);
+    });
+  }
+
+  document.getElementById("batch-file").addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      batchText.value = text;
+      batchSelected = 0;
+      updateGroups();
+    });
+  });
+  groups.batch.addEventListener("input", (e) => {
+    errorDiv.textContent = "";
+    if (e.target === batchText) {
+      batchSelected = 0;
+    }
+  });
+
+  function download(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+  document
+    .getElementById("batch-download-csv")
+    .addEventListener("click", () => {
+      if (batch.results.length === 0) return;
+      download(
+        `rotations-${batch.spec.output.type}.csv`,
+        "text/csv",
+        resultsToCSV(batch.results, batch.header, batch.spec)
+      );
+    });
+  document
+    .getElementById("batch-download-json")
+    .addEventListener("click", () => {
+      if (batch.results.length === 0) return;
+      download(
+        `rotations-${batch.spec.output.type}.json`,
+        "application/json",
+        resultsToJSON(batch.results, batch.spec)
       );
+    });
+
+  // Reads the selected input into the rotation and derives the outputs and
+  // the view from it
+  function updateEquivalents(selected) {
+    try {
+      rotation = { ...getSelectedRotation(selected), source: selected };
+    } catch (e) {
+      errorDiv.textContent = e.message;
+      rotation = null;
+      renderOutputs();
+      updateEulerSteps();
+      return;
+    }
+    renderOutputs();
+
+    // scrubbing the interpolation shows each rotation as it is, and a
+    // comparison turns from the first rotation to the second
+    if (rotation.source === "interpolation") {
+      showRotation(rotation.q);
+    } else if (rotation.pair) {
+      setComparison(...rotation.pair);
+    } else {
+      setTargetRotation(rotation.q);
+    }
+    updateEulerSteps();
+  }
 
-      setTargetRotation(q);
-    } else if (selected === "matrix") {
-      let m;
+  // Smart paste: fills the input group of a rotation pasted from code or a
+  // log, and asks which representation was meant when several fit
+  const PASTE_FIELDS = {
+    "axis-angle": ["axisX", "axisY", "axisZ", "angle"],
+    euler: ["alpha", "beta", "gamma"],
+    "rotation-vector": ["rotvecX", "rotvecY", "rotvecZ"],
+    gibbs: ["gibbsX", "gibbsY", "gibbsZ"],
+    mrp: ["mrpX", "mrpY", "mrpZ"],
+  };
+  const pasteText = document.getElementById("paste-text");
+  const pasteChoices = document.getElementById("paste-choices");
+  const pasteStatus = document.getElementById("paste-status");
+
+  // Writes the values of a representation into its input group; quaternion
+  // values are in the order of the quat-order select, matrices flat in the
+  // current layout
+  function fillInputGroup(type, values) {
+    if (type === "quaternion") {
+      const order = document.getElementById("quat-order").value;
+      order.split("").forEach((c, k) => {
+        document.getElementById(`q${c}`).value = values[k];
+      });
+    } else if (type === "matrix") {
+      for (let i = 0; i < 3; ++i) {
+        for (let j = 0; j < 3; ++j) {
+          document.getElementById(`m${i}${j}`).value =
+            values[matrixIndex(i, j)];
+        }
+      }
+    } else if (type === "6d") {
+      for (let i = 0; i < 3; ++i) {
+        for (let j = 0; j < 2; ++j) {
+          document.getElementById(`sixd${i}${j}`).value = values[j * 3 + i];
+        }
+      }
+    } else {
+      PASTE_FIELDS[type].forEach((id, k) => {
+        document.getElementById(id).value = values[k];
+      });
+    }
+  }
+
+  // candidate is a reading of parseRotationSnippet
+  function fillFromSnippet(candidate) {
+    const { type, values } = candidate;
+    if (type === "quaternion") {
+      // snippets are Hamilton quaternions in the order they were written
+      document.getElementById("quat-order").value = candidate.quatOrder;
+      document.getElementById("quat-algebra").value = "hamilton";
+      updateQuaternionLabels();
+    }
+    fillInputGroup(type, values);
+    rotationType.value = type;
+    pasteChoices.replaceChildren();
+    pasteStatus.textContent = `Read as ${candidate.label}`;
+    errorDiv.textContent = "";
+    updateGroups();
+  }
+
+  function parsePaste() {
+    pasteChoices.replaceChildren();
+    const candidates = parseRotationSnippet(pasteText.value, parseExpression);
+    if (candidates.length === 0) {
+      pasteStatus.textContent =
+        pasteText.value.trim() === ""
+          ? ""
+          : "Not recognized: paste a matrix, a quaternion, or 3, 4, 6 or 9 " +
+            "numbers";
+    } else if (candidates.length === 1) {
+      fillFromSnippet(candidates[0]);
+      saveState();
+    } else {
+      pasteStatus.textContent = "Which representation is this?";
+      candidates.forEach((candidate) => {
+        const button = document.createElement("button");
+        button.textContent = candidate.label;
+        button.addEventListener("click", () => fillFromSnippet(candidate));
+        pasteChoices.append(button);
+      });
+    }
+  }
+  // the pasted text is only in the box after the paste event
+  pasteText.addEventListener("paste", () => setTimeout(parsePaste));
+  document.getElementById("paste-parse").addEventListener("click", parsePaste);
+
+  // View overlays
+  const axisAngleToggle = document.getElementById("axis-angle-toggle");
+  axisAngleToggle.addEventListener("change", () => {
+    setAxisAngleVisible(axisAngleToggle.checked);
+  });
+
+  // A model from a local file turns with the rotated axes
+  const modelFile = document.getElementById("model-file");
+  const modelStatus = document.getElementById("model-status");
+  modelFile.addEventListener("change", () => {
+    const file = modelFile.files[0];
+    if (!file) return;
+    modelStatus.textContent = `Loading ${file.name}...`;
+    file.arrayBuffer().then((buffer) => {
       try {
-        m = getMatrixFromInputs();
+        const mesh = parseModel(file.name, buffer);
+        setModel(fitMesh(mesh, MODEL_RADIUS));
+        const count = mesh.positions.length / 9;
+        modelStatus.textContent = `${file.name}: ${count} triangle${
+          count === 1 ? "" : "s"
+        }`;
       } catch (e) {
-        errorDiv.textContent = e.message;
-        setOutputsToDefault();
-        return;
-      }
-      const q = matrixToQuaternion(m);
-
-      const axisAngleDegOrRad = document.getElementById(
-        "axis-angle-output-degRad"
-      ).value;
-      const axisAngle = vec4.create();
-      matrixToAxisAngle(axisAngle, m, axisAngleDegOrRad);
-
-      const eulerDegOrRad = document.getElementById(
-        "euler-output-degRad"
-      ).value;
-      const euler = vec3.create();
-      quaternionToEuler(euler, q, eulerDegOrRad);
-
-      document.getElementById("quatOut").textContent = formatVec(q);
-      if (axisAngleDegOrRad === "deg") {
-        document.getElementById("axisAngleOut").textContent = formatVec(
-          axisAngle,
-          [4, 4, 4, 2]
-        );
-      } else {
-        document.getElementById("axisAngleOut").textContent =
-          formatVec(axisAngle);
+        setModel(null);
+        modelStatus.textContent = e.message;
       }
-      let digits = 4;
-      if (eulerDegOrRad === "deg") digits = 2;
-      document.getElementById("eulerOut").textContent = formatVec(
-        euler,
-        digits
+    });
+  });
+  document.getElementById("model-clear").addEventListener("click", () => {
+    setModel(null);
+    modelFile.value = "";
+    modelStatus.textContent = "";
+  });
+
+  // Arcball gizmo: dragging the frame in the view writes the rotation back
+  // into the active input group, in that group's units and conventions.
+  // Composition, interpolation and batch have no single rotation to write to,
+  // so a drag there switches to the quaternion input
+  const gizmoToggle = document.getElementById("gizmo-toggle");
+  gizmoToggle.addEventListener("change", () => {
+    setGizmoEnabled(gizmoToggle.checked);
+  });
+  onGizmoRotate((q, done) => {
+    writeRotation(q, 4);
+    if (done) {
+      saveState();
+    }
+  });
+
+  // Writes the active quat q into the selected input group, or the
+  // quaternion group for composition, interpolation, compare and batch,
+  // rounded to digits decimals. Matrices keep MATRIX_WRITE_DIGITS, as rounded
+  // entries would fail the orthonormality check; a rotation the group cannot
+  // hold, e.g. a half turn as a Gibbs vector, is reported and not written
+  const MATRIX_WRITE_DIGITS = 15;
+  function writeRotation(q, digits) {
+    let type = rotationType.value;
+    if (!(type in TERM_TYPES)) {
+      type = "quaternion";
+      rotationType.value = type;
+    }
+    const options = {};
+    Object.entries(TERM_TYPES[type].options).forEach(([name, id]) => {
+      options[name] = document.getElementById(id).value;
+    });
+    const decimals = type === "matrix" ? MATRIX_WRITE_DIGITS : digits;
+    let values;
+    try {
+      values = fromQuaternion(type, q, options).map((v) =>
+        String(Number(v.toFixed(decimals)))
       );
+    } catch (e) {
+      errorDiv.textContent = e.message;
+      return;
+    }
+    fillInputGroup(type, values);
+    errorDiv.textContent = "";
+    updateGroups();
+  }
+
+  // Euler steps: the view plays the Euler angles of the rotation one
+  // elemental rotation at a time, in the sequence of the Euler input group
+  // when it is selected and of the Euler output otherwise
+  const eulerStepsToggle = document.getElementById("euler-steps-toggle");
+  const eulerStepsControls = document.getElementById("euler-steps-controls");
+  const eulerStepsPlay = document.getElementById("euler-steps-play");
+  let stepsShown = null; // { order, frame, angles } of the sequence in the view
+  let stepState = null; // last state reported by the view
 
-      setTargetRotation(q);
+  function getEulerStepsSettings() {
+    const prefix = rotationType.value === "euler" ? "euler" : "euler-output";
+    return {
+      order: document.getElementById(`${prefix}-order`).value,
+      frame: document.getElementById(`${prefix}-frame`).value,
+      degOrRad: document.getElementById(`${prefix}-degRad`).value,
+    };
+  }
+
+  function updateEulerSteps() {
+    eulerStepsControls.style.display = eulerStepsToggle.checked ? "" : "none";
+    if (!eulerStepsToggle.checked || !rotation) {
+      stepsShown = null;
+      setSequence(null);
+      showEulerSteps();
+      return;
+    }
+    const { order, frame } = getEulerStepsSettings();
+    const { angles, frames } = eulerSteps(
+      rotation.q,
+      order,
+      frame,
+      document.getElementById("euler-output-lock").value
+    );
+    // an unrelated change, e.g. of an output unit, keeps the playback going
+    if (
+      stepsShown &&
+      stepsShown.order === order &&
+      stepsShown.frame === frame &&
+      stepsShown.angles.every((a, n) => Math.abs(a - angles[n]) < 1e-9)
+    ) {
+      showEulerSteps();
+      return;
+    }
+    stepsShown = { order, frame, angles };
+    setSequence(frames);
+  }
+
+  // Intrinsic rotations turn about the axes moved by the earlier ones: x, y',
+  // z'' for XYZ; extrinsic rotations about the fixed axes
+  function stepAxisName(n) {
+    const { order, frame } = stepsShown;
+    return frame === "intrinsic"
+      ? order[n].toLowerCase() + "'".repeat(n)
+      : `fixed ${order[n]}`;
+  }
+
+  function showEulerSteps() {
+    const sequenceText = document.getElementById("euler-steps-sequence");
+    const caption = document.getElementById("euler-steps-caption");
+    if (!stepsShown) {
+      sequenceText.textContent = eulerStepsToggle.checked
+        ? "Nothing to play: fix the input first"
+        : "";
+      caption.textContent = "";
+      eulerStepsPlay.textContent = "Play";
+      return;
+    }
+    const { degOrRad } = getEulerStepsSettings();
+    const formatAngle = (angle) =>
+      degOrRad === "deg"
+        ? `${numberFormat("deg")(glm.toDegree(angle))}\u00b0`
+        : `${numberFormat("rad")(angle)} rad`;
+    const { order, frame, angles } = stepsShown;
+    sequenceText.textContent =
+      `${frame} ${order}: ` +
+      angles
+        .map((a, n) => `${formatAngle(a)} about ${stepAxisName(n)}`)
+        .join(", then ");
+    if (stepState) {
+      const { step, count, done, playing } = stepState;
+      const n = step - 1;
+      eulerStepsPlay.textContent = playing ? "Pause" : "Play";
+      caption.textContent =
+        `Step ${step} of ${count}${done ? " (done)" : ""}: ` +
+        `${formatAngle(angles[n])} about ${stepAxisName(n)}`;
+    }
+  }
+
+  onSequenceChange((state) => {
+    stepState = state;
+    showEulerSteps();
+  });
+  eulerStepsToggle.addEventListener("change", updateEulerSteps);
+  eulerStepsPlay.addEventListener("click", () => {
+    playSequence(!(stepState && stepState.playing));
+  });
+  document
+    .getElementById("euler-steps-step")
+    .addEventListener("click", stepSequence);
+  document
+    .getElementById("euler-steps-restart")
+    .addEventListener("click", restartSequence);
+
+  // Copy as code: each output's select lists the libraries its value can be
+  // pasted into; picking one copies the snippet and resets the select
+  let copyStatusTimer = null;
+  function copySnippet(select, target) {
+    const status = select.nextElementSibling;
+    const show = (message) => {
+      status.textContent = message;
+      clearTimeout(copyStatusTimer);
+      copyStatusTimer = setTimeout(() => (status.textContent = ""), 2000);
+    };
+    if (!rotation) {
+      show("Nothing to copy: fix the input first");
+      return;
     }
+    const text = codeSnippet(select.dataset.output, target, rotation.q, {
+      ...getEulerOutputOrder(),
+      degOrRad: document.getElementById("euler-output-degRad").value,
+      lockedAngle: document.getElementById("euler-output-lock").value,
+    });
+    // the clipboard API only exists in secure contexts (https, localhost)
+    if (!navigator.clipboard) {
+      show("Copy failed: clipboard not available");
+      return;
+    }
+    navigator.clipboard.writeText(text).then(
+      () => show(`Copied ${SNIPPET_TARGETS[target]} code`),
+      () => show("Copy failed: clipboard not available")
+    );
   }
+  document.querySelectorAll(".copy-code").forEach((select) => {
+    OUTPUT_SNIPPET_TARGETS[select.dataset.output].forEach((target) => {
+      const option = document.createElement("option");
+      option.value = target;
+      option.textContent = SNIPPET_TARGETS[target];
+      select.append(option);
+    });
+    select.addEventListener("change", () => {
+      const target = select.value;
+      select.value = "";
+      if (target) {
+        copySnippet(select, target);
+      }
+    });
+  });
 
   // Listen for changes
   rotationType.addEventListener("change", updateGroups);
@@ -331,52 +1576,409 @@ document.addEventListener("DOMContentLoaded", function () {
     group.addEventListener("input", () => updateGroups());
   });
 
-  // Listen for changes in deg/rad selectors to update equivalents
-  // Relevant only for axis-angle and euler representations
-  const axisAngleOutputDegOrRad = document.getElementById(
-    "axis-angle-output-degRad"
-  );
-  axisAngleOutputDegOrRad.addEventListener("change", () => {
-    const selected = rotationType.value;
-    if (selected !== "axis-angle") {
-      const unit = axisAngleOutputDegOrRad.value;
-      const axisAngleOut = document.getElementById("axisAngleOut");
-      const parts = axisAngleOut.textContent.trim().split(/\s+/);
-      if (parts.length === 4) {
-        let angle = parseFloat(parts[3]);
-        if (unit === "deg") {
-          angle = glm.toDegree(angle);
-          parts[3] = angle.toFixed(2);
-        } else {
-          angle = glm.toRadian(angle);
-          parts[3] = angle.toFixed(4);
+  // Output settings render their output again from the rotation, without
+  // reading the input
+  Object.values(OUTPUT_ADAPTERS).forEach(({ settings, render }) => {
+    settings.forEach((id) => {
+      const setting = document.getElementById(id);
+      const event = setting.tagName === "SELECT" ? "change" : "input";
+      setting.addEventListener(event, () => {
+        if (rotation) {
+          render(rotation);
         }
-        axisAngleOut.textContent = parts.join("\t");
+        updateEulerSteps();
+      });
+    });
+  });
+
+  // Digits and notation apply to every output, the batch results, the Euler
+  // steps and the offered nearest rotation
+  function renderFormattedOutputs() {
+    renderOutputs();
+    renderMatrixProjection();
+    renderBatchResults();
+    showEulerSteps();
+  }
+  document
+    .getElementById("output-digits")
+    .addEventListener("input", renderFormattedOutputs);
+  document
+    .getElementById("output-notation")
+    .addEventListener("change", renderFormattedOutputs);
+
+  // Reference of the "closest to" quaternion sign: x, y, z, w in the current
+  // sense, as math expressions
+  const quatReference = document.getElementById("quat-reference");
+  function getQuaternionReference() {
+    const raw = quatReference.value.trim();
+    const values = raw.split(",").map((part) => {
+      try {
+        return math.evaluate(part.trim());
+      } catch (e) {
+        return NaN;
       }
+    });
+    if (
+      values.length !== 4 ||
+      !values.every(Number.isFinite) ||
+      values.every((v) => v === 0)
+    ) {
+      throw new Error(`Invalid reference quaternion: ${raw}`);
+    }
+    return quaternionFromConvention(values, "xyzw", "hamilton");
+  }
+
+  // Global conventions change how every input and output is read
+  function applyConventions() {
+    const quatSign = document.getElementById("quat-sign").value;
+    setConventions({
+      sense: document.getElementById("sense").value,
+      layout: document.getElementById("layout").value,
+      handedness: document.getElementById("handedness").value,
+      quatSign,
+    });
+    // the reference is read in the sense just set
+    document.getElementById("quat-reference-label").style.display =
+      quatSign === "reference" ? "" : "none";
+    try {
+      setConventions({ quatReference: getQuaternionReference() });
+    } catch (e) {
+      errorDiv.textContent = e.message;
     }
+    updateConventionNotes();
+    const { handedness } = getConventions();
+    setHandedness(handedness);
+    document.getElementById("handedness-overlay").textContent =
+      handedness === "left" ? "Left-handed axes" : "Right-handed axes";
+  }
+  ["sense", "layout", "handedness", "quat-sign"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      applyConventions();
+      updateGroups();
+    });
   });
-  const eulerOutputDegOrRad = document.getElementById("euler-output-degRad");
-  eulerOutputDegOrRad.addEventListener("change", () => {
-    const selected = rotationType.value;
-    if (selected !== "euler") {
-      const unit = eulerOutputDegOrRad.value;
-      const eulerOut = document.getElementById("eulerOut");
-      const parts = eulerOut.textContent.trim().split(/\s+/);
-      if (parts.length === 3) {
-        for (let i = 0; i < 3; ++i) {
-          let angle = parseFloat(parts[i]);
-          if (unit === "deg") {
-            angle = glm.toDegree(angle);
-            parts[i] = angle.toFixed(2);
-          } else {
-            angle = glm.toRadian(angle);
-            parts[i] = angle.toFixed(4);
-          }
+  quatReference.addEventListener("input", () => {
+    applyConventions();
+    updateGroups();
+  });
+
+  // Frame presets set the view's up axis and the conventions of an engine or
+  // library; the selects they set stay editable, and changing one by hand
+  // goes back to "custom"
+  const FRAME_PRESET_SELECTS = {
+    up: ["upVec"],
+    handedness: ["handedness"],
+    layout: ["layout"],
+    quatOrder: ["quat-order", "quat-output-order"],
+    eulerOrder: ["euler-order", "euler-output-order"],
+    eulerFrame: ["euler-frame", "euler-output-frame"],
+  };
+  const framePreset = document.getElementById("frame-preset");
+  Object.entries(FRAME_PRESETS).forEach(([name, preset]) => {
+    document
+      .querySelectorAll("#frame-preset, .frame-select")
+      .forEach((select) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = preset.label;
+        select.append(option);
+      });
+  });
+
+  // [id, value] of each select the preset sets
+  function framePresetValues(name) {
+    const preset = {
+      ...FRAME_PRESETS[name],
+      handedness: frameHandedness(name),
+    };
+    const values = [];
+    Object.entries(FRAME_PRESET_SELECTS).forEach(([setting, ids]) => {
+      if (preset[setting] === undefined) return;
+      const value = setting === "up" ? preset.up.join() : preset[setting];
+      ids.forEach((id) => values.push([id, value]));
+    });
+    return values;
+  }
+
+  function setFramePreset(name) {
+    framePreset.value = name;
+    framePresetValues(name).forEach(([id, value]) => {
+      document.getElementById(id).value = value;
+    });
+    applyConventions();
+    updateQuaternionLabels();
+    updateFrameNote();
+  }
+
+  function updateFrameNote() {
+    const name = framePreset.value;
+    document.getElementById("frame-note").textContent =
+      name in FRAME_PRESETS ? frameDescription(name) : "";
+  }
+
+  framePreset.addEventListener("change", () => {
+    if (framePreset.value in FRAME_PRESETS) {
+      setFramePreset(framePreset.value);
+      updateGroups();
+    } else {
+      updateFrameNote();
+    }
+  });
+  document.addEventListener("change", (e) => {
+    const name = framePreset.value;
+    if (e.target === framePreset || !(name in FRAME_PRESETS)) return;
+    if (
+      framePresetValues(name).some(
+        ([id, value]) => document.getElementById(id).value !== value
+      )
+    ) {
+      framePreset.value = "custom";
+      updateFrameNote();
+    }
+  });
+
+  // Re-expresses the rotation in the axes of another frame and writes it
+  // back; a page set to the first frame's preset moves to the second's
+  // Values keep 9 decimals, as the matrix projection does, so that converting
+  // back gives the rotation converted from
+  document.getElementById("frame-convert").addEventListener("click", () => {
+    if (!rotation) {
+      errorDiv.textContent = "Nothing to convert: fix the input first";
+      return;
+    }
+    const from = document.getElementById("frame-from").value;
+    const to = document.getElementById("frame-to").value;
+    const q = convertFrameRotation(quat.create(), rotation.q, from, to);
+    if (framePreset.value === from) {
+      setFramePreset(to);
+    }
+    writeRotation(q, 9);
+  });
+  document.getElementById("matFlat").addEventListener("change", (e) => {
+    if (e.target.value.trim() === "") return;
+    try {
+      fillMatrixFromFlat(e.target.value);
+    } catch (err) {
+      errorDiv.textContent = err.message;
+      return;
+    }
+    updateGroups();
+  });
+
+  // Quaternion convention selectors relabel the fields, and the input ones
+  // change how the input is read
+  ["quat-order", "quat-algebra", "quat-output-order", "quat-output-algebra"]
+    .map((id) => document.getElementById(id))
+    .forEach((select) => {
+      select.addEventListener("change", updateQuaternionLabels);
+    });
+  ["quat-order", "quat-algebra"].forEach((id) => {
+    document.getElementById(id).addEventListener("change", updateGroups);
+  });
+
+  // Permalinks: the page state lives in the query string, so a link restores
+  // it and back/forward step through earlier states. Every input and select
+  // with an id is kept by id when it differs from its default, plus the
+  // composition terms, the interpolation keyframes, the compared rotations,
+  // the batch options and the camera orbit.
+  // The batch text and the files are left out, they do not fit in a URL, and
+  // the flat matrix field only fills the matrix inputs
+  const STATE_SKIP = ["batch-text", "batch-file", "model-file", "matFlat"];
+  function stateElements() {
+    return Array.from(
+      document.querySelectorAll("input[id], select[id]")
+    ).filter((el) => !STATE_SKIP.includes(el.id));
+  }
+  function defaultValue(el) {
+    if (el.tagName === "SELECT") {
+      const options = Array.from(el.options);
+      return (options.find((o) => o.defaultSelected) || options[0]).value;
+    }
+    return el.defaultValue;
+  }
+
+  function getTermState(term) {
+    return {
+      type: term.querySelector(".term-type").value,
+      values: term.querySelector(".term-values").value,
+      options: readOptionSelects(term.querySelector(".term-options")),
+    };
+  }
+  function setTermState(term, t) {
+    setOptionSelects(term.querySelector(".term-options"), t.options);
+    // missing values keep the defaults of the term type
+    if (["string", "number"].includes(typeof t.values)) {
+      term.querySelector(".term-values").value = String(t.values);
+    }
+  }
+
+  function getPageState() {
+    const params = new URLSearchParams();
+    stateElements().forEach((el) => {
+      if (el.value !== defaultValue(el)) {
+        params.set(el.id, el.value);
+      }
+    });
+    if (rotationType.value === "composition") {
+      const terms = Array.from(compositionTerms.children).map((term) => ({
+        ...getTermState(term),
+        invert: term.querySelector(".term-invert").checked,
+      }));
+      params.set("terms", JSON.stringify(terms));
+    } else if (rotationType.value === "interpolation") {
+      const keyframes = Array.from(interpolationKeyframes.children).map(
+        getTermState
+      );
+      params.set("keyframes", JSON.stringify(keyframes));
+    } else if (rotationType.value === "compare") {
+      const pair = Array.from(compareTerms.children).map(getTermState);
+      params.set("compare", JSON.stringify(pair));
+    } else if (rotationType.value === "batch") {
+      params.set(
+        "batch-options",
+        JSON.stringify({
+          input: readOptionSelects(batchInputOptions),
+          output: readOptionSelects(batchOutputOptions),
+        })
+      );
+    }
+    const orbit = getCameraOrbit();
+    if (
+      ["radius", "theta", "phi"].some(
+        (k) => Math.abs(orbit[k] - DEFAULT_CAMERA_ORBIT[k]) > 1e-3
+      )
+    ) {
+      params.set(
+        "camera",
+        [orbit.theta, orbit.phi, orbit.radius].map((v) => v.toFixed(3)).join()
+      );
+    }
+    return params;
+  }
+
+  function setOptionSelects(span, options) {
+    const values = isPlainObject(options) ? options : {};
+    span.querySelectorAll("select").forEach((select) => {
+      if (values[select.dataset.option] !== undefined) {
+        select.value = values[select.dataset.option];
+        // unknown values leave nothing selected
+        if (select.value === "") {
+          select.value = defaultValue(select);
         }
-        eulerOut.textContent = parts.join("\t");
       }
+    });
+  }
+
+  function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  // JSON parameters from a hand-edited link may be broken, or valid JSON of
+  // the wrong shape; fall back to the defaults rather than failing the whole
+  // page. The value must be an object, or an array when fallback is one
+  function parseStateJSON(params, key, fallback) {
+    let value;
+    try {
+      value = params.has(key) ? JSON.parse(params.get(key)) : fallback;
+    } catch (e) {
+      return fallback;
+    }
+    const valid = Array.isArray(fallback)
+      ? Array.isArray(value)
+      : isPlainObject(value);
+    return valid ? value : fallback;
+  }
+
+  // Terms of a composition, interpolation or compare link: objects with a
+  // known representation type, others are dropped
+  function parseStateTerms(params, key) {
+    return parseStateJSON(params, key, []).filter(
+      (t) =>
+        isPlainObject(t) && Object.keys(TERM_TYPES).includes(String(t.type))
+    );
+  }
+
+  function setPageState(params) {
+    stateElements().forEach((el) => {
+      el.value = params.has(el.id) ? params.get(el.id) : defaultValue(el);
+      // unknown select values leave nothing selected
+      if (el.tagName === "SELECT" && el.value === "") {
+        el.value = defaultValue(el);
+      }
+    });
+    applyConventions();
+    updateQuaternionLabels();
+    updateFrameNote();
+
+    compositionTerms.replaceChildren();
+    parseStateTerms(params, "terms").forEach((t) => {
+      const term = addCompositionTerm(t.type);
+      setTermState(term, t);
+      term.querySelector(".term-invert").checked = Boolean(t.invert);
+    });
+    while (compositionTerms.children.length < 2) {
+      addCompositionTerm();
+    }
+
+    interpolationKeyframes.replaceChildren();
+    parseStateTerms(params, "keyframes").forEach((t) => {
+      setTermState(addKeyframe(t.type), t);
+    });
+    // by default, a quarter turn about z
+    if (interpolationKeyframes.children.length === 0) {
+      addKeyframe();
+      addKeyframe().querySelector(".term-values").value = "0, 0, 1, 90";
+    }
+    while (interpolationKeyframes.children.length < 2) {
+      addKeyframe();
     }
+
+    compareTerms.replaceChildren();
+    const pair = parseStateTerms(params, "compare").slice(0, 2);
+    pair.forEach((t) => {
+      setTermState(addCompareTerm(t.type), t);
+    });
+    // by default, 10 degrees apart about z
+    if (compareTerms.children.length === 0) {
+      addCompareTerm();
+      addCompareTerm().querySelector(".term-values").value = "0, 0, 1, 10";
+    }
+    while (compareTerms.children.length < 2) {
+      addCompareTerm();
+    }
+
+    setBatchTypes();
+    const batchOptions = parseStateJSON(params, "batch-options", {});
+    setOptionSelects(batchInputOptions, batchOptions.input);
+    setOptionSelects(batchOutputOptions, batchOptions.output);
+
+    const camera = (params.get("camera") || "").split(",").map(Number);
+    if (camera.length === 3 && camera.every((v) => isFinite(v))) {
+      setCameraOrbit({ theta: camera[0], phi: camera[1], radius: camera[2] });
+    } else {
+      setCameraOrbit(DEFAULT_CAMERA_ORBIT);
+    }
+    errorDiv.textContent = "";
+    updateGroups();
+  }
+
+  // A new history entry for each committed edit: a changed field or select,
+  // a button in the controls, or a camera drag or zoom
+  function saveState() {
+    const query = getPageState().toString();
+    if (query === location.search.slice(1)) return;
+    history.pushState(null, "", query ? `?${query}` : location.pathname);
+  }
+  document.addEventListener("change", saveState);
+  document.getElementById("controls").addEventListener("click", (e) => {
+    if (e.target.tagName === "BUTTON") {
+      saveState();
+    }
+  });
+  onCameraChange(saveState);
+  window.addEventListener("popstate", () => {
+    setPageState(new URLSearchParams(location.search));
   });
 
-  updateGroups();
+  setPageState(new URLSearchParams(location.search));
 });
@@ -0,0 +1,303 @@
+// Triangle meshes read from OBJ, STL (ASCII or binary) and binary glTF (.glb)
+// files, to show a rotation on real geometry
+// A mesh is { positions, normals }: Float32Arrays with x, y, z per vertex and
+// three vertices per triangle. Faces without normals get flat ones
+
+import { vec3, mat3, mat4 } from "gl-matrix";
+import { newVec3, newQuat, newMat3, newMat4 } from "./arrays.js";
+
+export const MODEL_EXTENSIONS = [".obj", ".stl", ".glb"];
+
+// buffer is the ArrayBuffer of the file; name picks the format
+export function parseModel(name, buffer) {
+  const extension = name.slice(name.lastIndexOf(".")).toLowerCase();
+  let mesh;
+  if (extension === ".obj") {
+    mesh = parseOBJ(new TextDecoder().decode(buffer));
+  } else if (extension === ".stl") {
+    mesh = parseSTL(buffer);
+  } else if (extension === ".glb") {
+    mesh = parseGLB(buffer);
+  } else {
+    throw new Error(
+      `Unsupported model format: ${name} (use ${MODEL_EXTENSIONS.join(", ")})`
+    );
+  }
+  if (mesh.positions.length === 0) {
+    throw new Error(`No triangles in ${name}`);
+  }
+  return mesh;
+}
+
+// Normal of the triangle a, b, c, by the right-hand rule; zero for
+// degenerate triangles
+function faceNormal(a, b, c) {
+  const n = vec3.cross(
+    newVec3(),
+    vec3.subtract(newVec3(), b, a),
+    vec3.subtract(newVec3(), c, a)
+  );
+  return vec3.normalize(n, n);
+}
+
+function toMesh(positions, normals) {
+  return {
+    positions: new Float32Array(positions),
+    normals: new Float32Array(normals),
+  };
+}
+
+// Wavefront OBJ: v and vn lines, and f lines of v, v/vt, v//vn or v/vt/vn
+// indices, 1-based or negative from the end; polygons are split into fans
+function parseOBJ(text) {
+  const vertices = [];
+  const vertexNormals = [];
+  const positions = [];
+  const normals = [];
+  const index = (token, list) => {
+    const i = parseInt(token, 10);
+    const item = list[i < 0 ? list.length + i : i - 1];
+    if (!item) {
+      throw new Error(`OBJ: index ${token} out of range`);
+    }
+    return item;
+  };
+  text.split(/\r?\n/).forEach((line) => {
+    const [keyword, ...args] = line.trim().split(/\s+/);
+    if (keyword === "v") {
+      vertices.push(args.slice(0, 3).map(Number));
+    } else if (keyword === "vn") {
+      vertexNormals.push(args.slice(0, 3).map(Number));
+    } else if (keyword === "f") {
+      const corners = args.map((arg) => {
+        const [v, , vn] = arg.split("/");
+        return {
+          position: index(v, vertices),
+          normal: vn ? index(vn, vertexNormals) : null,
+        };
+      });
+      for (let k = 1; k + 1 < corners.length; ++k) {
+        const triangle = [corners[0], corners[k], corners[k + 1]];
+        const flat = faceNormal(...triangle.map((c) => c.position));
+        triangle.forEach((c) => {
+          positions.push(...c.position);
+          normals.push(...(c.normal || flat));
+        });
+      }
+    }
+  });
+  return toMesh(positions, normals);
+}
+
+// STL: binary files are an 80-byte header, a triangle count and 50 bytes per
+// triangle; anything else is read as ASCII
+function parseSTL(buffer) {
+  const view = new DataView(buffer);
+  if (
+    buffer.byteLength >= 84 &&
+    buffer.byteLength === 84 + 50 * view.getUint32(80, true)
+  ) {
+    return parseBinarySTL(view);
+  }
+  return parseAsciiSTL(new TextDecoder().decode(buffer));
+}
+
+function parseBinarySTL(view) {
+  const count = view.getUint32(80, true);
+  const positions = [];
+  const normals = [];
+  for (let n = 0; n < count; ++n) {
+    const offset = 84 + 50 * n;
+    const read = (k) =>
+      [0, 1, 2].map((i) => view.getFloat32(offset + 12 * k + 4 * i, true));
+    const corners = [read(1), read(2), read(3)];
+    let normal = read(0);
+    // many exporters leave the facet normal at zero
+    if (vec3.length(normal) < 1e-6) {
+      normal = faceNormal(...corners);
+    }
+    corners.forEach((corner) => {
+      positions.push(...corner);
+      normals.push(...normal);
+    });
+  }
+  return toMesh(positions, normals);
+}
+
+function parseAsciiSTL(text) {
+  if (!/^\s*solid/.test(text)) {
+    throw new Error("STL: not an ASCII or binary STL file");
+  }
+  const positions = [];
+  const normals = [];
+  const facet = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)([\s\S]*?)endfacet/g;
+  const vertex = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let match;
+  while ((match = facet.exec(text)) !== null) {
+    const corners = Array.from(match[4].matchAll(vertex), (v) =>
+      v.slice(1, 4).map(Number)
+    );
+    if (corners.length !== 3) {
+      throw new Error("STL: facets must have 3 vertices");
+    }
+    let normal = match.slice(1, 4).map(Number);
+    if (vec3.length(normal) < 1e-6) {
+      normal = faceNormal(...corners);
+    }
+    corners.forEach((corner) => {
+      positions.push(...corner);
+      normals.push(...normal);
+    });
+  }
+  return toMesh(positions, normals);
+}
+
+// Binary glTF 2.0: the triangle primitives of the meshes of the default
+// scene, placed by their node transforms
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const COMPONENT_READERS = {
+  5121: ["getUint8", 1],
+  5123: ["getUint16", 2],
+  5125: ["getUint32", 4],
+  5126: ["getFloat32", 4],
+};
+const TYPE_SIZES = { SCALAR: 1, VEC3: 3 };
+
+function parseGLB(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error("glTF: not a binary glTF (.glb) file");
+  }
+  if (view.getUint32(4, true) !== 2) {
+    throw new Error("glTF: only version 2 is supported");
+  }
+  let json = null;
+  let bin = null;
+  for (let offset = 12; offset + 8 <= buffer.byteLength; ) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    if (type === CHUNK_JSON) {
+      json = JSON.parse(
+        new TextDecoder().decode(new Uint8Array(buffer, offset + 8, length))
+      );
+    } else if (type === CHUNK_BIN) {
+      bin = new DataView(buffer, offset + 8, length);
+    }
+    offset += 8 + length;
+  }
+  if (!json) {
+    throw new Error("glTF: missing JSON chunk");
+  }
+  if ((json.extensionsRequired || []).length > 0) {
+    throw new Error(
+      `glTF: unsupported extensions ${json.extensionsRequired.join(", ")}`
+    );
+  }
+
+  // values of an accessor, as arrays of its components
+  const readAccessor = (index) => {
+    const accessor = json.accessors[index];
+    const bufferView = json.bufferViews[accessor.bufferView];
+    if (bufferView.buffer !== 0 || !bin) {
+      throw new Error("glTF: only data in the .glb file itself is supported");
+    }
+    const [getter, bytes] = COMPONENT_READERS[accessor.componentType] || [];
+    const size = TYPE_SIZES[accessor.type];
+    if (!getter || !size) {
+      throw new Error("glTF: unsupported accessor type");
+    }
+    const stride = bufferView.byteStride || bytes * size;
+    const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    return Array.from({ length: accessor.count }, (_, n) =>
+      Array.from({ length: size }, (_, i) =>
+        bin[getter](start + n * stride + i * bytes, true)
+      )
+    );
+  };
+
+  const positions = [];
+  const normals = [];
+  const addMesh = (mesh, world) => {
+    const normalMatrix = mat3.normalFromMat4(newMat3(), world);
+    mesh.primitives.forEach((primitive) => {
+      // mode 4 (triangles) is the default; points and lines have no faces
+      if (primitive.mode !== undefined && primitive.mode !== 4) return;
+      const vertices = readAccessor(primitive.attributes.POSITION).map((p) =>
+        vec3.transformMat4(newVec3(), p, world)
+      );
+      const vertexNormals =
+        primitive.attributes.NORMAL !== undefined
+          ? readAccessor(primitive.attributes.NORMAL).map((n) =>
+              vec3.normalize(n, vec3.transformMat3(n, n, normalMatrix))
+            )
+          : null;
+      const indices =
+        primitive.indices !== undefined
+          ? readAccessor(primitive.indices).map(([i]) => i)
+          : vertices.map((_, i) => i);
+      for (let k = 0; k + 2 < indices.length; k += 3) {
+        const triangle = indices.slice(k, k + 3);
+        const flat = faceNormal(...triangle.map((i) => vertices[i]));
+        triangle.forEach((i) => {
+          positions.push(...vertices[i]);
+          normals.push(...(vertexNormals ? vertexNormals[i] : flat));
+        });
+      }
+    });
+  };
+  const visit = (index, parent) => {
+    const node = json.nodes[index];
+    const local = node.matrix
+      ? Array.from(node.matrix)
+      : mat4.fromRotationTranslationScale(
+          newMat4(),
+          node.rotation || newQuat(),
+          node.translation || [0, 0, 0],
+          node.scale || [1, 1, 1]
+        );
+    const world = mat4.multiply(local, parent, local);
+    if (node.mesh !== undefined) {
+      addMesh(json.meshes[node.mesh], world);
+    }
+    (node.children || []).forEach((child) => visit(child, world));
+  };
+  const scene = json.scenes
+    ? json.scenes[json.scene || 0]
+    : { nodes: (json.nodes || []).map((_, i) => i) };
+  scene.nodes.forEach((index) => visit(index, newMat4()));
+  return toMesh(positions, normals);
+}
+
+// Copy of mesh centered on its bounding box and scaled so that its farthest
+// vertex is at radius from the origin
+export function fitMesh(mesh, radius) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const { positions } = mesh;
+  for (let n = 0; n < positions.length; n += 3) {
+    for (let i = 0; i < 3; ++i) {
+      min[i] = Math.min(min[i], positions[n + i]);
+      max[i] = Math.max(max[i], positions[n + i]);
+    }
+  }
+  const center = min.map((v, i) => (v + max[i]) / 2);
+  let farthest = 0;
+  for (let n = 0; n < positions.length; n += 3) {
+    farthest = Math.max(
+      farthest,
+      Math.hypot(
+        positions[n] - center[0],
+        positions[n + 1] - center[1],
+        positions[n + 2] - center[2]
+      )
+    );
+  }
+  const scale = farthest > 0 ? radius / farthest : 1;
+  const fitted = new Float32Array(positions.length);
+  for (let n = 0; n < positions.length; ++n) {
+    fitted[n] = (positions[n] - center[n % 3]) * scale;
+  }
+  return { positions: fitted, normals: mesh.normals };
+}
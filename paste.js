@@ -0,0 +1,250 @@
+// Recognizes rotations pasted from code or logs: NumPy and MATLAB matrices,
+// Quaternion(...) constructors, ROS YAML and plain lists of numbers
+
+import { matrixIndex } from "./conversion.js";
+
+// Splits s at separators outside parentheses and brackets, so that
+// atan2(1, 2) stays one value
+function splitTopLevel(s, separator) {
+  const parts = [];
+  let depth = 0;
+  let part = "";
+  for (const c of s) {
+    if (c === "(" || c === "[") {
+      ++depth;
+    } else if (c === ")" || c === "]") {
+      --depth;
+    }
+    if (depth === 0 && separator.test(c)) {
+      parts.push(part);
+      part = "";
+    } else {
+      part += c;
+    }
+  }
+  parts.push(part);
+  return parts.map((p) => p.trim()).filter((p) => p !== "");
+}
+
+// Values separated by commas, or else by whitespace
+function splitValues(s) {
+  return s.includes(",")
+    ? splitTopLevel(s, /,/)
+    : s
+        .trim()
+        .split(/\s+/)
+        .filter((p) => p !== "");
+}
+
+// Library prefixes of constants and functions, e.g. np.pi, math.sqrt
+function cleanValue(value) {
+  return value.replace(/\b(?:np|numpy|math|Math|Mathf)\./g, "");
+}
+
+function matrixCandidate(rows, label) {
+  const values = new Array(9);
+  for (let i = 0; i < 3; ++i) {
+    for (let j = 0; j < 3; ++j) {
+      values[matrixIndex(i, j)] = rows[i][j];
+    }
+  }
+  return { type: "matrix", values, label };
+}
+
+function isMatrix(rows) {
+  return rows.length === 3 && rows.every((row) => row.length === 3);
+}
+
+// ROS YAML, block or flow style: the x, y, z, w keys of the orientation
+// (a Pose also has a position with x, y, z keys)
+function parseYaml(text) {
+  const start = text.search(/orientation\s*:/);
+  const section = start < 0 ? text : text.slice(start);
+  const components = {};
+  const re = /(?:^|[\s{,])([xyzw])\s*:\s*([^,}\n]+)/g;
+  let match;
+  while ((match = re.exec(section)) !== null) {
+    if (!(match[1] in components)) {
+      components[match[1]] = match[2].trim();
+    }
+  }
+  if (["x", "y", "z", "w"].every((c) => c in components)) {
+    return [
+      {
+        type: "quaternion",
+        values: ["x", "y", "z", "w"].map((c) => components[c]),
+        quatOrder: "xyzw",
+        label: "ROS quaternion (x, y, z, w)",
+      },
+    ];
+  }
+  return null;
+}
+
+// Quaternion(...) constructors: three.js, Unity and scipy's from_quat take
+// (x, y, z, w); Eigen, MATLAB and pyquaternion take (w, x, y, z), also as
+// keyword arguments
+function parseConstructor(text) {
+  const match = text.match(/(?:quaternion\w*(?:<\w+>)?\s*\w*|from_quat)\s*\(/i);
+  if (!match) {
+    return null;
+  }
+  const open = match.index + match[0].length;
+  let depth = 1;
+  let close = open;
+  while (close < text.length && depth > 0) {
+    if (text[close] === "(") {
+      ++depth;
+    } else if (text[close] === ")") {
+      --depth;
+    }
+    ++close;
+  }
+  let args = splitTopLevel(text.slice(open, close - 1), /,/);
+  if (args.length === 1 && /^\[.*\]$/.test(args[0])) {
+    args = splitValues(args[0].slice(1, -1));
+  }
+  if (args.length !== 4) {
+    return null;
+  }
+  const scalarLast = /THREE\.Quaternion|new\s+Quaternion\s*\(|from_quat/.test(
+    text
+  );
+  let quatOrder = scalarLast ? "xyzw" : "wxyz";
+  const named = args.map((arg) => arg.match(/^([wxyz])\s*=\s*(.+)$/));
+  if (named.every((m) => m !== null)) {
+    const byName = Object.fromEntries(named.map((m) => [m[1], m[2]]));
+    if (Object.keys(byName).length !== 4) {
+      return null;
+    }
+    quatOrder = "xyzw";
+    args = ["x", "y", "z", "w"].map((c) => byName[c]);
+  }
+  return [
+    {
+      type: "quaternion",
+      values: args,
+      quatOrder,
+      label: `Quaternion (${quatOrder.split("").join(", ")})`,
+    },
+  ];
+}
+
+// Rows of values: nested lists [[a, b, c], ...] as in np.array, MATLAB
+// [a b c; ...], or one row per line; a plain list is a single row
+function parseRows(text) {
+  // drop an assignment, a wrapping call such as np.array(...) and a trailing
+  // semicolon
+  let body = text
+    .replace(/^[\w.]+\s*=\s*/, "")
+    .replace(/;\s*$/, "")
+    .trim();
+  const call = body.match(/^[\w.]+\s*\(([\s\S]*)\)$/);
+  if (call) {
+    body = call[1].trim();
+  }
+  if (/^\[\s*\[/.test(body)) {
+    const rows = [];
+    const re = /\[([^[\]]*)\]/g;
+    let match;
+    while ((match = re.exec(body)) !== null) {
+      rows.push(splitValues(match[1]));
+    }
+    return rows;
+  }
+  body = body.replace(/^[[{]|[\]}]$/g, "");
+  return body
+    .split(body.includes(";") ? ";" : "\n")
+    .map(splitValues)
+    .filter((row) => row.length > 0);
+}
+
+// Plain lists: the count of numbers hints at the representation, and the
+// candidates left are for the user to choose from
+function listCandidates(values) {
+  if (values.length === 3) {
+    return [
+      { type: "euler", values, label: "Euler angles" },
+      { type: "rotation-vector", values, label: "Rotation vector" },
+      { type: "gibbs", values, label: "Gibbs vector" },
+      { type: "mrp", values, label: "Modified Rodrigues parameters" },
+    ];
+  } else if (values.length === 4) {
+    return [
+      {
+        type: "quaternion",
+        values,
+        quatOrder: "xyzw",
+        label: "Quaternion (x, y, z, w)",
+      },
+      {
+        type: "quaternion",
+        values,
+        quatOrder: "wxyz",
+        label: "Quaternion (w, x, y, z)",
+      },
+      { type: "axis-angle", values, label: "Axis-angle (x, y, z, θ)" },
+    ];
+  } else if (values.length === 6) {
+    return [{ type: "6d", values, label: "6D (first two columns)" }];
+  } else if (values.length === 9) {
+    const rows = [0, 1, 2].map((i) => values.slice(i * 3, i * 3 + 3));
+    const columns = [0, 1, 2].map((i) => [0, 1, 2].map((j) => rows[j][i]));
+    // a symmetric matrix reads the same both ways
+    if (rows.every((row, i) => row.every((v, j) => v === columns[i][j]))) {
+      return [matrixCandidate(rows, "Matrix")];
+    }
+    return [
+      matrixCandidate(rows, "Matrix, row by row"),
+      matrixCandidate(columns, "Matrix, column by column"),
+    ];
+  }
+  return [];
+}
+
+// Several rows are a matrix or a column of single values; other shapes,
+// such as [[1, 2], [3, 4]], are no rotation
+function rowCandidates(rows) {
+  if (isMatrix(rows)) {
+    return [matrixCandidate(rows, "Matrix")];
+  } else if (rows.length > 1 && rows.some((row) => row.length !== 1)) {
+    return [];
+  }
+  return listCandidates(rows.flat());
+}
+
+function isValue(value, parseValue) {
+  try {
+    parseValue(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function parseNumber(value) {
+  const number = Number(value);
+  if (value.trim() === "" || isNaN(number)) {
+    throw new Error(`invalid value ${value}`);
+  }
+  return number;
+}
+
+// Candidate readings of a snippet, each { type, values, label } plus
+// quatOrder, the component order, for quaternions. values are the raw
+// expressions in the order of the representation's values, with matrices
+// flat in the current layout. One candidate means the snippet is
+// unambiguous; none means it was not recognized. parseValue turns a value
+// into a number and throws for invalid ones; readings with a value it
+// rejects are left out
+export function parseRotationSnippet(text, parseValue = parseNumber) {
+  const t = text.trim();
+  if (t === "") {
+    return [];
+  }
+  const candidates =
+    parseYaml(t) || parseConstructor(t) || rowCandidates(parseRows(t));
+  return candidates
+    .map((c) => ({ ...c, values: c.values.map(cleanValue) }))
+    .filter((c) => c.values.every((v) => isValue(v, parseValue)));
+}
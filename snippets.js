@@ -0,0 +1,262 @@
+// Rotation outputs as ready-to-paste code for common libraries
+// Snippets always describe the active rotation, in each library's own
+// component order and matrix layout, whatever the page conventions; only the
+// quaternion sign follows the page
+
+import { quat } from "gl-matrix";
+import { newQuat } from "./arrays.js";
+import {
+  TAIT_BRYAN_ORDERS,
+  getConventions,
+  withConventions,
+  quaternionToEuler,
+  quaternionToConvention,
+  quaternionToAxisAngle,
+  quaternionToMatrix,
+  quaternionToRotationVector,
+  quaternionToMRP,
+} from "./conversion.js";
+
+export const SNIPPET_TARGETS = {
+  scipy: "NumPy / SciPy Rotation",
+  eigen: "Eigen (C++)",
+  threejs: "three.js",
+  unity: "Unity (C#)",
+  glsl: "GLSL",
+  matlab: "MATLAB",
+  ros: "ROS geometry_msgs/Quaternion (YAML)",
+};
+
+// Targets offered for each output representation
+export const OUTPUT_SNIPPET_TARGETS = {
+  quaternion: ["scipy", "eigen", "threejs", "unity", "glsl", "matlab", "ros"],
+  matrix: ["scipy", "eigen", "threejs", "unity", "glsl", "matlab"],
+  euler: ["scipy", "eigen", "threejs", "unity", "matlab"],
+  "axis-angle": ["scipy", "eigen", "threejs", "unity", "matlab"],
+  "rotation-vector": ["scipy"],
+  mrp: ["scipy"],
+};
+
+const DIGITS = 6;
+// Unity's frame is left-handed; the note is left out when the page's axes
+// are left-handed too
+function unityNote() {
+  return getConventions().handedness === "left"
+    ? ""
+    : "// components in right-handed axes; Unity's frame is left-handed\n";
+}
+
+// Number literals: shortest of DIGITS decimals, with the decimal point GLSL
+// needs and the f suffix of C# floats
+function num(v) {
+  const s = v.toFixed(DIGITS).replace(/\.?0+$/, "");
+  return s === "-0" ? "0" : s;
+}
+function glslFloat(v) {
+  const s = num(v);
+  return s.includes(".") ? s : `${s}.0`;
+}
+function csFloat(v) {
+  return `${num(v)}f`;
+}
+
+function checkTarget(output, target) {
+  const targets = OUTPUT_SNIPPET_TARGETS[output];
+  if (!targets) {
+    throw new Error(`codeSnippet: no code targets for "${output}"`);
+  }
+  if (!targets.includes(target)) {
+    throw new Error(`codeSnippet: no ${target} code for "${output}"`);
+  }
+}
+
+// Code for the active quat q as the given output representation
+// options holds the Euler output settings: order, frame, degOrRad and
+// lockedAngle
+export function codeSnippet(output, target, q, options = {}) {
+  checkTarget(output, target);
+  // every value below is active, with column-major matrices
+  return withConventions({ sense: "active", layout: "column" }, () => {
+    const n = quat.normalize(newQuat(), q);
+    if (output === "quaternion") {
+      return quaternionSnippet(target, quaternionToConvention([], n));
+    } else if (output === "matrix") {
+      return matrixSnippet(target, quaternionToMatrix(n));
+    } else if (output === "euler") {
+      return eulerSnippet(target, n, options);
+    } else if (output === "axis-angle") {
+      const [x, y, z, angle] = quaternionToAxisAngle([], n, "rad");
+      return axisAngleSnippet(target, [x, y, z], angle);
+    } else if (output === "rotation-vector") {
+      const v = Array.from(quaternionToRotationVector([], n, "rad"));
+      return scipy(`Rotation.from_rotvec([${v.map(num).join(", ")}])`);
+    }
+    const p = Array.from(quaternionToMRP([], n));
+    return scipy(`Rotation.from_mrp([${p.map(num).join(", ")}])`);
+  });
+}
+
+function scipy(constructor, numpy = false) {
+  return [
+    ...(numpy ? ["import numpy as np"] : []),
+    "from scipy.spatial.transform import Rotation",
+    `r = ${constructor}`,
+  ].join("\n");
+}
+
+function quaternionSnippet(target, [x, y, z, w]) {
+  const xyzw = [x, y, z, w].map(num).join(", ");
+  const wxyz = [w, x, y, z].map(num).join(", ");
+  if (target === "scipy") {
+    return scipy(`Rotation.from_quat([${xyzw}])  # scalar-last`);
+  } else if (target === "eigen") {
+    return `Eigen::Quaterniond q(${wxyz});  // w first`;
+  } else if (target === "threejs") {
+    return `const q = new THREE.Quaternion(${xyzw});`;
+  } else if (target === "unity") {
+    const cs = [x, y, z, w].map(csFloat).join(", ");
+    return `${unityNote()}var q = new Quaternion(${cs});`;
+  } else if (target === "glsl") {
+    const gl = [x, y, z, w].map(glslFloat).join(", ");
+    return `vec4 q = vec4(${gl});  // (x, y, z, w)`;
+  } else if (target === "matlab") {
+    return `q = quaternion(${wxyz});`;
+  }
+  return ["x", "y", "z", "w"]
+    .map((name, k) => `${name}: ${num([x, y, z, w][k])}`)
+    .join("\n");
+}
+
+// m is a column-major mat3
+function matrixSnippet(target, m) {
+  const rows = [0, 1, 2].map((i) => [0, 1, 2].map((j) => m[j * 3 + i]));
+  const cols = [0, 1, 2].map((j) => [0, 1, 2].map((i) => m[j * 3 + i]));
+  if (target === "scipy") {
+    const arr = rows.map((r) => `[${r.map(num).join(", ")}]`).join(",\n    ");
+    return scipy(`Rotation.from_matrix(np.array([\n    ${arr}]))`, true);
+  } else if (target === "eigen") {
+    const body = rows.map((r) => r.map(num).join(", ")).join(",\n     ");
+    return `Eigen::Matrix3d R;\nR << ${body};  // row by row`;
+  } else if (target === "threejs") {
+    const body = rows.map((r) => r.map(num).join(", ")).join(",\n  ");
+    return `// set() takes rows, elements are stored by column\nconst m = new THREE.Matrix3().set(\n  ${body}\n);`;
+  } else if (target === "unity") {
+    const columns = cols
+      .map((c) => `new Vector4(${c.concat(0).map(csFloat).join(", ")})`)
+      .concat(["new Vector4(0f, 0f, 0f, 1f)"]);
+    return `${unityNote()}var m = new Matrix4x4(  // columns\n    ${columns.join(
+      ",\n    "
+    )});`;
+  } else if (target === "glsl") {
+    const body = cols.map((c) => c.map(glslFloat).join(", ")).join(",\n  ");
+    return `mat3 R = mat3(  // column by column\n  ${body});`;
+  }
+  return `R = [${rows.map((r) => r.map(num).join(" ")).join("; ")}];`;
+}
+
+// Intrinsic sequence and angles of an Euler triplet: extrinsic ABC by
+// (a, b, c) is intrinsic CBA by (c, b, a)
+function intrinsicEuler(angles, order, frame) {
+  if (frame === "intrinsic") {
+    return { order, angles };
+  }
+  return {
+    order: order.split("").reverse().join(""),
+    angles: angles.slice().reverse(),
+  };
+}
+
+function eulerSnippet(target, q, options) {
+  const {
+    order = "ZYX",
+    frame = "intrinsic",
+    degOrRad = "rad",
+    lockedAngle = "first",
+  } = options;
+  // at gimbal lock the snippet assigns the coupled rotation as the page does
+  const euler = (unit, seq, fr = "intrinsic") =>
+    quaternionToEuler([], q, unit, seq, fr, lockedAngle);
+  if (target === "scipy") {
+    const angles = euler(degOrRad, order, frame);
+    // scipy names intrinsic sequences in capitals, extrinsic in lower case
+    const seq = frame === "intrinsic" ? order : order.toLowerCase();
+    const degrees = degOrRad === "deg" ? ", degrees=True" : "";
+    return scipy(
+      `Rotation.from_euler("${seq}", [${angles.map(num).join(", ")}]${degrees})`
+    );
+  } else if (target === "eigen") {
+    const intrinsic = intrinsicEuler(
+      Array.from(euler("rad", order, frame)),
+      order,
+      frame
+    );
+    const factors = intrinsic.order.split("").map((axis, k) => {
+      const angle = num(intrinsic.angles[k]);
+      return `Eigen::AngleAxisd(${angle}, Eigen::Vector3d::Unit${axis}())`;
+    });
+    return `Eigen::Quaterniond q = ${factors.join("\n    * ")};`;
+  } else if (target === "threejs") {
+    // Euler takes the angles about x, y and z and an intrinsic Tait-Bryan
+    // order; proper Euler sequences are given as three.js's default XYZ
+    const tb = TAIT_BRYAN_ORDERS.includes(order);
+    const intrinsic = tb
+      ? intrinsicEuler(Array.from(euler("rad", order, frame)), order, frame)
+      : {
+          order: "XYZ",
+          angles: Array.from(euler("rad", "XYZ")),
+        };
+    const byAxis = ["X", "Y", "Z"].map(
+      (axis) => intrinsic.angles[intrinsic.order.indexOf(axis)]
+    );
+    return `const e = new THREE.Euler(${byAxis.map(num).join(", ")}, "${
+      intrinsic.order
+    }");`;
+  } else if (target === "unity") {
+    // Quaternion.Euler(x, y, z) turns about z, then x, then y of the fixed
+    // frame, i.e. intrinsic YXZ, in degrees
+    const [y, x, z] = euler("deg", "YXZ");
+    return `${unityNote()}var q = Quaternion.Euler(${[x, y, z]
+      .map(csFloat)
+      .join(", ")});`;
+  }
+  // eul2rotm takes intrinsic ZYX, ZYZ or XYZ sequences, in radians
+  let intrinsic = intrinsicEuler(
+    Array.from(euler("rad", order, frame)),
+    order,
+    frame
+  );
+  if (!["ZYX", "ZYZ", "XYZ"].includes(intrinsic.order)) {
+    intrinsic = {
+      order: "ZYX",
+      angles: Array.from(euler("rad", "ZYX")),
+    };
+  }
+  return `R = eul2rotm([${intrinsic.angles.map(num).join(" ")}], "${
+    intrinsic.order
+  }");`;
+}
+
+function axisAngleSnippet(target, axis, angle) {
+  if (target === "scipy") {
+    return scipy(
+      `Rotation.from_rotvec(${num(angle)} * np.array([${axis
+        .map(num)
+        .join(", ")}]))`,
+      true
+    );
+  } else if (target === "eigen") {
+    return `Eigen::AngleAxisd aa(${num(angle)}, Eigen::Vector3d(${axis
+      .map(num)
+      .join(", ")}));`;
+  } else if (target === "threejs") {
+    return `const q = new THREE.Quaternion().setFromAxisAngle(\n  new THREE.Vector3(${axis
+      .map(num)
+      .join(", ")}),\n  ${num(angle)}\n);`;
+  } else if (target === "unity") {
+    // AngleAxis takes degrees
+    return `${unityNote()}var q = Quaternion.AngleAxis(${csFloat(
+      (angle * 180) / Math.PI
+    )}, new Vector3(${axis.map(csFloat).join(", ")}));`;
+  }
+  return `R = axang2rotm([${axis.concat(angle).map(num).join(" ")}]);`;
+}
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  relativeRotation,
+  rotationDistances,
+  eulerDifferences,
+} from "../compare.js";
+
+const about = (axis, angle) => [
+  ...axis.map((c) => c * Math.sin(angle / 2)),
+  Math.cos(angle / 2),
+];
+const degree = Math.PI / 180;
+
+test("rotationDistances resolves sub-micro-degree differences", () => {
+  [1e-4, 1e-6, 1e-7].forEach((deg) => {
+    const q1 = about([0.6, 0, 0.8], 40 * degree);
+    const q2 = about([0.6, 0, 0.8], (40 + deg) * degree);
+    const { geodesic, chordal, quaternion } = rotationDistances(q1, q2);
+    assert.ok(Math.abs(geodesic / degree - deg) < 1e-6 * deg, `${deg} deg`);
+    // |R1 - R2| = 2 sqrt(2) sin(angle / 2)
+    const expected = 2 * Math.SQRT2 * Math.sin((deg * degree) / 2);
+    assert.ok(Math.abs(chordal - expected) < 1e-6 * expected, `${deg} deg`);
+    // 1 - |q1 . q2| = 1 - cos(angle / 2), to rounding
+    const oneMinusCos = 1 - Math.cos((deg * degree) / 2);
+    assert.ok(Math.abs(quaternion - oneMinusCos) < 1e-15, `${deg} deg`);
+  });
+});
+
+test("rotationDistances is 0 for q and -q", () => {
+  const q = about([0, 1, 0], 1);
+  const { geodesic, chordal, quaternion } = rotationDistances(
+    q,
+    q.map((c) => -c)
+  );
+  assert.equal(geodesic, 0);
+  assert.ok(chordal < 1e-15 && quaternion < 1e-15);
+});
+
+test("relativeRotation turns the first rotation into the second", () => {
+  const q1 = about([1, 0, 0], 0.3);
+  const q2 = about([1, 0, 0], 0.3 + 1e-7);
+  const relative = relativeRotation([0, 0, 0, 1], q1, q2);
+  assert.ok(Math.abs(relative[0] - Math.sin(5e-8)) < 1e-15);
+});
+
+test("eulerDifferences wrap to half a turn", () => {
+  const q1 = about([0, 0, 1], 179 * degree);
+  const q2 = about([0, 0, 1], -179 * degree);
+  const [z, y, x] = eulerDifferences([], q1, q2, "deg");
+  assert.ok(Math.abs(z - 2) < 1e-9 && Math.abs(y) < 1e-9 && Math.abs(x) < 1e-9);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { closedForm } from "../format.js";
+
+test("closedForm recovers integers, fractions, roots and fractions of pi", () => {
+  assert.equal(closedForm(3), "3");
+  assert.equal(closedForm(-0.5), "-1/2");
+  assert.equal(closedForm(1 / 3), "1/3");
+  assert.equal(closedForm(22.5, "deg"), "45/2");
+  assert.equal(closedForm(Math.SQRT1_2), "√2/2");
+  assert.equal(closedForm(-Math.sqrt(6) / 4), "-√6/4");
+  assert.equal(closedForm(Math.sqrt(2)), "√2");
+  assert.equal(closedForm(Math.PI / 3, "rad"), "π/3");
+  assert.equal(closedForm((-2 * Math.PI) / 3, "rad"), "-2π/3");
+});
+
+test("closedForm treats rounding noise as exact", () => {
+  assert.equal(closedForm(6e-17), "0");
+  assert.equal(closedForm(-2e-16), "0");
+  assert.equal(closedForm(Math.cos(Math.PI / 3)), "1/2");
+});
+
+test("closedForm leaves other values decimal", () => {
+  assert.equal(closedForm(3e-10), null);
+  assert.equal(closedForm(0.7071), null);
+  assert.equal(closedForm(123456.5), null);
+  assert.equal(closedForm(1 / 25), null);
+  assert.equal(closedForm(Math.cos(Math.PI / 5)), null);
+  assert.equal(closedForm(1 + Math.SQRT2), null);
+  assert.equal(closedForm(Math.PI / 3), null);
+  assert.equal(closedForm(Infinity), null);
+});
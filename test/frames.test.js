@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FRAME_PRESETS, convertFrameRotation } from "../frames.js";
+
+test("convertFrameRotation keeps double precision in Node", () => {
+  const angle = 1e-6;
+  const q = [Math.sin(angle / 2), 0, 0, Math.cos(angle / 2)];
+  const out = convertFrameRotation([0, 0, 0, 1], q, "opengl", "ros");
+  // OpenGL's X is ROS's -Y
+  assert.ok(Math.abs(out[1] + Math.sin(angle / 2)) < 1e-15);
+  assert.ok(Math.abs(out[0]) < 1e-15 && Math.abs(out[2]) < 1e-15);
+});
+
+test("convertFrameRotation there and back is the identity", () => {
+  const q = [0.1, -0.7, 0.3, 0.2];
+  const n = Math.hypot(...q);
+  const names = Object.keys(FRAME_PRESETS);
+  names.forEach((from) => {
+    names.forEach((to) => {
+      const there = convertFrameRotation([0, 0, 0, 1], q, from, to);
+      const back = convertFrameRotation([0, 0, 0, 1], there, to, from);
+      back.forEach((c, i) => assert.ok(Math.abs(c - q[i] / n) < 1e-15));
+    });
+  });
+});
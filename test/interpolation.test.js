@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { interpolateKeyframes, samplePath } from "../interpolation.js";
+
+const about = (axis, angle) => [
+  ...axis.map((c) => c * Math.sin(angle / 2)),
+  Math.cos(angle / 2),
+];
+
+test("interpolation keeps double precision in Node", () => {
+  const keyframes = [about([0, 0, 1], 0), about([0, 0, 1], Math.PI / 2)];
+  ["slerp", "nlerp", "squad"].forEach((method) => {
+    const q = interpolateKeyframes([0, 0, 0, 1], keyframes, 0.5, method);
+    assert.ok(Math.abs(q[2] - Math.sin(Math.PI / 8)) < 1e-15, method);
+    assert.ok(Math.abs(q[3] - Math.cos(Math.PI / 8)) < 1e-15, method);
+  });
+  const path = samplePath(keyframes, "squad", "short", 4);
+  assert.equal(path.length, 5);
+  path.forEach((q, k) => {
+    assert.ok(Math.abs(q[3] - Math.cos((k * Math.PI) / 16)) < 1e-15);
+  });
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { codeSnippet } from "../snippets.js";
+import { eulerToQuaternion } from "../conversion.js";
+
+test("Euler snippets assign gimbal lock like the page", () => {
+  // ZYX with a 90 deg middle angle: yaw and roll are coupled
+  const q = eulerToQuaternion(30, 90, 10, "deg", "ZYX", "intrinsic");
+  const options = { order: "ZYX", frame: "intrinsic", degOrRad: "deg" };
+  const first = codeSnippet("euler", "scipy", q, {
+    ...options,
+    lockedAngle: "first",
+  });
+  const third = codeSnippet("euler", "scipy", q, {
+    ...options,
+    lockedAngle: "third",
+  });
+  assert.match(first, /from_euler\("ZYX", \[20, 90, 0\], degrees=True\)/);
+  assert.match(third, /from_euler\("ZYX", \[0, 90, -20\], degrees=True\)/);
+});
@@ -1,15 +1,28 @@
-"use strict";
+import { glMatrix, vec3, quat, mat3, mat4 } from "gl-matrix";
 
 let gl, program, uModel, uView, uProj;
+let shadedProgram; // lit by a light at the camera, for loaded models
 let canvas;
 
 // Buffers
-let axisBuffer, coneBuffer, planeBuffer;
+let axisBuffer, coneBuffer, planeBuffer, circleBuffer;
+let dynamicBuffer; // refilled each frame with the axis-angle overlay
+let modelPositionBuffer, modelNormalBuffer;
+
+// Handedness of the drawn axes: left-handed axes are drawn mirrored
+let handedness = "right";
+
+export function setHandedness(value) {
+  handedness = value;
+}
 
 // Camera orbit state
-let cameraRadius = 5.0;
-let cameraTheta = 0.8; // horizontal angle
-let cameraPhi = 0.8; // vertical angle
+export const DEFAULT_CAMERA_ORBIT = { radius: 5.0, theta: 0.8, phi: 0.8 };
+let cameraRadius = DEFAULT_CAMERA_ORBIT.radius;
+let cameraTheta = DEFAULT_CAMERA_ORBIT.theta; // horizontal angle
+let cameraPhi = DEFAULT_CAMERA_ORBIT.phi; // vertical angle
+let cameraListener = null;
+let wheelTimer = null;
 let isDragging = false;
 let lastX = 0,
   lastY = 0;
@@ -22,9 +35,195 @@ let rotationMatrix = mat4.create();
 let rotationQ = quat.create(); // current rotation
 let targetQ = quat.create(); // target rotation
 
-function setTargetRotation(q) {
+// Arcball gizmo: dragging maps the pointer onto a ball around the origin
+// and turns the rotated frame by the rotation between the start and current
+// points on the ball
+const ARCBALL_RADIUS = 2.0; // length of the axes
+let gizmoEnabled = false;
+let gizmoDrag = null; // { start, startQ } while dragging
+let gizmoListener = null;
+
+export function setTargetRotation(q) {
+  quat.copy(targetQ, q);
+  // while the gizmo drives the frame, follow it instead of replaying the
+  // rotation from identity
+  if (!gizmoDrag) {
+    quat.identity(rotationQ);
+  }
+}
+
+// Shows q at once, without the animation from the identity
+export function showRotation(q) {
   quat.copy(targetQ, q);
-  quat.identity(rotationQ);
+  quat.copy(rotationQ, q);
+}
+
+// Interpolation path: the orientations along the path, drawn as the trails
+// of the axis tips, and the keyframes, drawn as ghost frames
+let interpolationPath = null; // { samples, keyframes }
+
+// path holds arrays of active quats; null hides it
+export function setInterpolationPath(path) {
+  interpolationPath = path;
+}
+
+// Comparison of two rotations: the first is drawn as a ghost frame, the
+// rotated axes turn from it to the second, and the axis-angle overlay shows
+// the relative rotation between them
+let comparisonQ = null; // first rotation, null outside comparisons
+
+// q1 and q2 are active quats; null for q1 ends the comparison
+export function setComparison(q1, q2) {
+  if (!q1) {
+    comparisonQ = null;
+    return;
+  }
+  comparisonQ = quat.clone(q1);
+  quat.copy(targetQ, q2);
+  if (!gizmoDrag) {
+    quat.copy(rotationQ, q1);
+  }
+}
+
+// Loaded model, drawn with the rotated axes; null when there is none
+let model = null; // { numItems }
+export const MODEL_RADIUS = 1.5; // inside the axes, so their tips show
+
+// mesh is { positions, normals } as read by models.js, already centered and
+// scaled to MODEL_RADIUS; null removes the model
+export function setModel(mesh) {
+  if (!gl) return;
+  if (!mesh) {
+    model = null;
+    return;
+  }
+  gl.bindBuffer(gl.ARRAY_BUFFER, modelPositionBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, mesh.positions, gl.STATIC_DRAW);
+  gl.bindBuffer(gl.ARRAY_BUFFER, modelNormalBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, mesh.normals, gl.STATIC_DRAW);
+  model = { numItems: mesh.positions.length / 3 };
+}
+
+// Axis-angle overlay: the rotation axis, the swept angle and the paths of
+// the axis tips
+let axisAngleVisible = true;
+
+export function setAxisAngleVisible(visible) {
+  axisAngleVisible = visible;
+}
+
+// Step-by-step sequence: the frame turns from the identity through a list of
+// frames one step at a time, leaving a ghost of each frame it has passed
+let sequence = null; // { frames, step, t, playing, single }
+let sequenceListener = null;
+
+// frames are active quats, e.g. the frame after each elemental rotation of
+// Euler angles; null goes back to the animation toward the target
+export function setSequence(frames) {
+  const playing = sequence ? sequence.playing : false;
+  sequence = frames
+    ? {
+        frames: [quat.create(), ...frames.map((f) => quat.clone(f))],
+        step: 1, // turning from frames[step - 1] to frames[step]
+        t: 0,
+        playing,
+        single: false, // stop at the end of the step
+      }
+    : null;
+  sequenceChanged();
+}
+
+function sequenceEnded() {
+  return sequence.step === sequence.frames.length - 1 && sequence.t >= 1;
+}
+
+function restart() {
+  sequence.step = 1;
+  sequence.t = 0;
+}
+
+// Plays to the end, from the start once the end is reached
+export function playSequence(playing) {
+  if (!sequence) return;
+  if (playing && sequenceEnded()) {
+    restart();
+  }
+  sequence.playing = playing;
+  sequence.single = false;
+  sequenceChanged();
+}
+
+// Plays the current step to its end, or else the next step
+export function stepSequence() {
+  if (!sequence) return;
+  if (sequenceEnded()) {
+    restart();
+  } else if (sequence.t >= 1) {
+    ++sequence.step;
+    sequence.t = 0;
+  }
+  sequence.playing = true;
+  sequence.single = true;
+  sequenceChanged();
+}
+
+export function restartSequence() {
+  if (!sequence) return;
+  restart();
+  sequence.playing = false;
+  sequenceChanged();
+}
+
+// callback receives { step, count, done, playing } when a step starts or
+// ends and when playback starts or stops, and null when the sequence is
+// cleared; step counts from 1 and done is true at the end of the step
+export function onSequenceChange(callback) {
+  sequenceListener = callback;
+}
+
+function sequenceChanged() {
+  if (!sequenceListener) return;
+  sequenceListener(
+    sequence && {
+      step: sequence.step,
+      count: sequence.frames.length - 1,
+      done: sequence.t >= 1,
+      playing: sequence.playing,
+    }
+  );
+}
+
+export function setGizmoEnabled(enabled) {
+  gizmoEnabled = enabled;
+}
+
+// callback receives the active quat of the frame on every gizmo drag step,
+// and done = true when the drag ends
+export function onGizmoRotate(callback) {
+  gizmoListener = callback;
+}
+
+export function getCameraOrbit() {
+  return { radius: cameraRadius, theta: cameraTheta, phi: cameraPhi };
+}
+
+// Moves the camera, within the same limits as dragging and zooming
+export function setCameraOrbit({ radius, theta, phi }) {
+  const EPS = 0.001;
+  cameraRadius = Math.max(1.0, Math.min(50.0, radius));
+  cameraTheta = Math.max(EPS, Math.min(Math.PI / 2 - EPS, theta));
+  cameraPhi = Math.max(EPS, Math.min(Math.PI - EPS, phi));
+}
+
+// callback receives the orbit when a drag or zoom ends
+export function onCameraChange(callback) {
+  cameraListener = callback;
+}
+
+function cameraChanged() {
+  if (cameraListener) {
+    cameraListener(getCameraOrbit());
+  }
 }
 
 // upVec is a glMatrix vec3
@@ -57,6 +256,13 @@ function getOrbitBasis(upVec) {
       right: vec3.fromValues(1, 0, 0), // +X
       forward: vec3.fromValues(0, 1, 0), // +Y
     };
+  } else if (uy === -1) {
+    // Y down, as camera frames
+    return {
+      up: vec3.fromValues(0, -1, 0),
+      right: vec3.fromValues(1, 0, 0), // +X
+      forward: vec3.fromValues(0, 0, 1), // +Z
+    };
   } else {
     throw new Error("getOrbitBasis: upVec must be a unit axis vector");
   }
@@ -87,6 +293,20 @@ function getViewMatrix() {
   vec3.scaleAndAdd(eye, eye, forward, sz);
 
   const view = mat4.create();
+  if (handedness === "left") {
+    // left-handed axes are the mirror image of right-handed ones: mirror the
+    // world across the plane normal to the right axis, and the camera with
+    // it, so that it still looks at the positive octant
+    const mirror = mat4.create();
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        mirror[j * 4 + i] -= 2 * right[i] * right[j];
+      }
+    }
+    vec3.transformMat4(eye, eye, mirror);
+    mat4.lookAt(view, eye, [0, 0, 0], up);
+    return mat4.multiply(view, view, mirror);
+  }
   mat4.lookAt(view, eye, [0, 0, 0], up);
   return view;
 }
@@ -128,19 +348,84 @@ window.addEventListener("load", () => {
   window.addEventListener("resize", updateProjection);
 });
 
+// Point of the arcball under the pointer, in world coordinates; points
+// outside the ball are taken on its silhouette (Shoemake, 1992)
+function arcballVector(e) {
+  const rect = canvas.getBoundingClientRect();
+  const px = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+  const py = 1 - ((e.clientY - rect.top) / rect.height) * 2;
+  // the camera looks at the origin, so the ball is centered in the view;
+  // its radius in normalized device coordinates follows from the field of
+  // view of updateProjection
+  const r = ARCBALL_RADIUS / (cameraRadius * Math.tan(Math.PI / 8));
+  const v = vec3.fromValues((px * rect.width) / rect.height / r, py / r, 0);
+  const d = v[0] * v[0] + v[1] * v[1];
+  if (d < 1) {
+    v[2] = Math.sqrt(1 - d);
+  } else {
+    vec3.normalize(v, v);
+  }
+  // camera to world: the inverse of the view rotation is its transpose
+  const viewRotation = mat3.fromMat4(mat3.create(), getViewMatrix());
+  mat3.transpose(viewRotation, viewRotation);
+  return vec3.transformMat3(v, v, viewRotation);
+}
+
+// Shift snaps the drag to 15 deg steps, Alt to 5 deg steps
+function gizmoRotation(e) {
+  const drag = quat.rotationTo(
+    quat.create(),
+    gizmoDrag.start,
+    arcballVector(e)
+  );
+  const step = e.shiftKey ? 15 : e.altKey ? 5 : 0;
+  if (step > 0) {
+    const axis = vec3.create();
+    const angle = quat.getAxisAngle(axis, drag);
+    const snapped = glMatrix.toRadian(
+      Math.round(glMatrix.toDegree(angle) / step) * step
+    );
+    quat.setAxisAngle(drag, axis, snapped);
+  }
+  // the drag turns the frame about world axes, after its current rotation
+  return quat.multiply(drag, drag, gizmoDrag.startQ);
+}
+
+function moveGizmo(e, done) {
+  const q = gizmoRotation(e);
+  quat.copy(rotationQ, q);
+  quat.copy(targetQ, q);
+  if (gizmoListener) {
+    gizmoListener(q, done);
+  }
+}
+
 function initControls() {
   canvas.addEventListener("mousedown", (e) => {
+    if (gizmoEnabled) {
+      e.preventDefault();
+      gizmoDrag = { start: arcballVector(e), startQ: quat.clone(targetQ) };
+      return;
+    }
     isDragging = true;
     lastX = e.clientX;
     lastY = e.clientY;
   });
-  canvas.addEventListener("mouseup", () => {
-    isDragging = false;
-  });
-  canvas.addEventListener("mouseleave", () => {
-    isDragging = false;
+  ["mouseup", "mouseleave"].forEach((type) => {
+    canvas.addEventListener(type, (e) => {
+      if (gizmoDrag) {
+        moveGizmo(e, true);
+        gizmoDrag = null;
+      }
+      if (isDragging) cameraChanged();
+      isDragging = false;
+    });
   });
   canvas.addEventListener("mousemove", (e) => {
+    if (gizmoDrag) {
+      moveGizmo(e, false);
+      return;
+    }
     if (!isDragging) return;
     const dx = e.clientX - lastX;
     const dy = e.clientY - lastY;
@@ -158,6 +443,9 @@ function initControls() {
       e.preventDefault();
       cameraRadius *= 1 + e.deltaY * 0.001;
       cameraRadius = Math.max(1.0, Math.min(50.0, cameraRadius));
+      // a wheel turn fires many events; report once it settles
+      clearTimeout(wheelTimer);
+      wheelTimer = setTimeout(cameraChanged, 300);
     },
     { passive: false }
   );
@@ -179,18 +467,7 @@ function initShaders() {
     }
   `;
 
-  const vShader = compileShader(gl.VERTEX_SHADER, vsSource);
-  const fShader = compileShader(gl.FRAGMENT_SHADER, fsSource);
-
-  program = gl.createProgram();
-  gl.attachShader(program, vShader);
-  gl.attachShader(program, fShader);
-  gl.linkProgram(program);
-
-  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    console.error("Could not link shaders:", gl.getProgramInfoLog(program));
-  }
-
+  program = linkProgram(vsSource, fsSource);
   gl.useProgram(program);
 
   program.aPosition = gl.getAttribLocation(program, "aPosition");
@@ -198,6 +475,51 @@ function initShaders() {
   uView = gl.getUniformLocation(program, "uView");
   uProj = gl.getUniformLocation(program, "uProj");
   program.uColor = gl.getUniformLocation(program, "uColor");
+
+  // Lambert shading in view space, with the light at the camera; faces are
+  // lit from both sides, as model files do not always wind them consistently
+  const shadedVsSource = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+    uniform mat4 uModel, uView, uProj;
+    varying vec3 vNormal;
+    void main() {
+      vNormal = (uView * uModel * vec4(aNormal, 0.0)).xyz;
+      gl_Position = uProj * uView * uModel * vec4(aPosition, 1.0);
+    }
+  `;
+  const shadedFsSource = `
+    precision mediump float;
+    uniform vec4 uColor;
+    varying vec3 vNormal;
+    void main() {
+      vec3 light = normalize(vec3(0.3, 0.5, 1.0));
+      float diffuse = abs(dot(normalize(vNormal), light));
+      gl_FragColor = vec4(uColor.rgb * (0.3 + 0.7 * diffuse), uColor.a);
+    }
+  `;
+  shadedProgram = linkProgram(shadedVsSource, shadedFsSource);
+  shadedProgram.aPosition = gl.getAttribLocation(shadedProgram, "aPosition");
+  shadedProgram.aNormal = gl.getAttribLocation(shadedProgram, "aNormal");
+  shadedProgram.uModel = gl.getUniformLocation(shadedProgram, "uModel");
+  shadedProgram.uView = gl.getUniformLocation(shadedProgram, "uView");
+  shadedProgram.uProj = gl.getUniformLocation(shadedProgram, "uProj");
+  shadedProgram.uColor = gl.getUniformLocation(shadedProgram, "uColor");
+}
+
+function linkProgram(vsSource, fsSource) {
+  const vShader = compileShader(gl.VERTEX_SHADER, vsSource);
+  const fShader = compileShader(gl.FRAGMENT_SHADER, fsSource);
+
+  const linked = gl.createProgram();
+  gl.attachShader(linked, vShader);
+  gl.attachShader(linked, fShader);
+  gl.linkProgram(linked);
+
+  if (!gl.getProgramParameter(linked, gl.LINK_STATUS)) {
+    console.error("Could not link shaders:", gl.getProgramInfoLog(linked));
+  }
+  return linked;
 }
 
 function compileShader(type, src) {
@@ -289,6 +611,21 @@ function initBuffers() {
   gl.bindBuffer(gl.ARRAY_BUFFER, planeBuffer);
   gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verts), gl.STATIC_DRAW);
   planeBuffer.numItems = verts.length / 3;
+
+  // Unit circle in the XY plane (arcball outline)
+  const circleVerts = [];
+  for (let i = 0; i < 64; i++) {
+    const theta = (i / 64) * 2 * Math.PI;
+    circleVerts.push(Math.cos(theta), Math.sin(theta), 0);
+  }
+  circleBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, circleBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(circleVerts), gl.STATIC_DRAW);
+  circleBuffer.numItems = circleVerts.length / 3;
+
+  dynamicBuffer = gl.createBuffer();
+  modelPositionBuffer = gl.createBuffer();
+  modelNormalBuffer = gl.createBuffer();
 }
 
 function normalizeColorToVec4(color) {
@@ -352,6 +689,167 @@ function drawPlane(color, orientation) {
   gl.drawArrays(gl.TRIANGLES, 0, planeBuffer.numItems);
 }
 
+// Draws world-space vertices, which change every frame
+function drawDynamic(verts, mode, color) {
+  gl.bindBuffer(gl.ARRAY_BUFFER, dynamicBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verts), gl.DYNAMIC_DRAW);
+  gl.vertexAttribPointer(program.aPosition, 3, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(program.aPosition);
+
+  gl.uniformMatrix4fv(uModel, false, mat4.create());
+  gl.uniform4fv(program.uColor, color);
+  gl.drawArrays(mode, 0, verts.length / 3);
+}
+
+// The rotation axis as an arrow, the angle as a sector swept around it, and
+// the arcs traced by the tips of the axes, which the animation follows
+// In a comparison the rotation is the relative one, from the first frame
+function drawAxisAngle() {
+  const from = comparisonQ || quat.create();
+  // the shorter way round, as the slerp animation takes
+  const q = quat.multiply(
+    quat.create(),
+    targetQ,
+    quat.invert(quat.create(), from)
+  );
+  if (q[3] < 0) {
+    quat.scale(q, q, -1);
+  }
+  const axis = vec3.create();
+  const angle = quat.getAxisAngle(axis, q);
+  if (angle < 1e-4) return;
+
+  // the Z axis of drawAxisWithArrow, turned onto the rotation axis
+  const model = mat4.fromRotationTranslationScale(
+    mat4.create(),
+    quat.rotationTo(quat.create(), [0, 0, 1], axis),
+    [0, 0, 0],
+    [1.25, 1.25, 1.25]
+  );
+  drawAxisWithArrow([1.0, 0.8, 0.0], 2, model);
+
+  // the sector starts from a direction perpendicular to the axis
+  const least = [0, 1, 2].reduce((a, b) =>
+    Math.abs(axis[a]) <= Math.abs(axis[b]) ? a : b
+  );
+  const start = vec3.create();
+  start[least] = 1;
+  vec3.cross(start, axis, start);
+  vec3.normalize(start, start);
+  vec3.scale(start, start, 0.8);
+
+  const steps = Math.max(2, Math.ceil(angle / 0.05));
+  const sector = [0, 0, 0];
+  const arc = [];
+  const tips = [[], [], []];
+  const step = quat.create();
+  const p = vec3.create();
+  for (let k = 0; k <= steps; k++) {
+    quat.setAxisAngle(step, axis, (angle * k) / steps);
+    vec3.transformQuat(p, start, step);
+    sector.push(...p);
+    arc.push(...p);
+    for (let i = 0; i < 3; i++) {
+      const tip = [0, 0, 0];
+      tip[i] = 2;
+      vec3.transformQuat(p, tip, from);
+      vec3.transformQuat(p, p, step);
+      tips[i].push(...p);
+    }
+  }
+  // the sector is seen from both sides
+  gl.disable(gl.CULL_FACE);
+  drawDynamic(sector, gl.TRIANGLE_FAN, [1.0, 0.8, 0.0, 0.25]);
+  gl.enable(gl.CULL_FACE);
+  drawDynamic(arc, gl.LINE_STRIP, [1.0, 0.8, 0.0, 1.0]);
+  drawDynamic(tips[0], gl.LINE_STRIP, [1.0, 0.5, 0.5, 0.8]);
+  drawDynamic(tips[1], gl.LINE_STRIP, [0.5, 1.0, 0.5, 0.8]);
+  drawDynamic(tips[2], gl.LINE_STRIP, [0.5, 0.5, 1.0, 0.8]);
+}
+
+// Moves the frame along the current step of the sequence
+function advanceSequence(tStep) {
+  const s = sequence;
+  if (s.playing) {
+    s.t = Math.min(1, s.t + tStep);
+    if (s.t >= 1) {
+      if (s.single || s.step === s.frames.length - 1) {
+        s.playing = false;
+      } else {
+        ++s.step;
+        s.t = 0;
+      }
+      sequenceChanged();
+    }
+  }
+  quat.slerp(rotationQ, s.frames[s.step - 1], s.frames[s.step], s.t);
+}
+
+// Translucent copy of the rotated axes at the active quat q
+function drawGhostFrame(q) {
+  const model = mat4.fromQuat(mat4.create(), q);
+  drawAxisWithArrow([1, 0, 0, 0.3], 0, model);
+  drawAxisWithArrow([0, 1, 0, 0.3], 1, model);
+  drawAxisWithArrow([0, 0, 1, 0.3], 2, model);
+}
+
+function drawInterpolationPath() {
+  interpolationPath.keyframes.forEach(drawGhostFrame);
+  const tips = [[], [], []];
+  const p = vec3.create();
+  interpolationPath.samples.forEach((q) => {
+    for (let i = 0; i < 3; i++) {
+      const tip = [0, 0, 0];
+      tip[i] = 2;
+      vec3.transformQuat(p, tip, q);
+      tips[i].push(...p);
+    }
+  });
+  drawDynamic(tips[0], gl.LINE_STRIP, [1.0, 0.3, 0.3, 1.0]);
+  drawDynamic(tips[1], gl.LINE_STRIP, [0.3, 1.0, 0.3, 1.0]);
+  drawDynamic(tips[2], gl.LINE_STRIP, [0.3, 0.3, 1.0, 1.0]);
+}
+
+// The model turns with the rotated axes; it is opaque, so it is drawn before
+// the translucent planes
+function drawModel(view) {
+  gl.useProgram(shadedProgram);
+  gl.uniformMatrix4fv(shadedProgram.uModel, false, rotationMatrix);
+  gl.uniformMatrix4fv(shadedProgram.uView, false, view);
+  gl.uniformMatrix4fv(shadedProgram.uProj, false, projMatrix);
+  gl.uniform4fv(shadedProgram.uColor, [0.75, 0.75, 0.78, 1.0]);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, modelPositionBuffer);
+  gl.vertexAttribPointer(shadedProgram.aPosition, 3, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(shadedProgram.aPosition);
+  gl.bindBuffer(gl.ARRAY_BUFFER, modelNormalBuffer);
+  gl.vertexAttribPointer(shadedProgram.aNormal, 3, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(shadedProgram.aNormal);
+
+  gl.disable(gl.CULL_FACE);
+  gl.drawArrays(gl.TRIANGLES, 0, model.numItems);
+  gl.enable(gl.CULL_FACE);
+  gl.disableVertexAttribArray(shadedProgram.aPosition);
+  gl.disableVertexAttribArray(shadedProgram.aNormal);
+  gl.useProgram(program);
+}
+
+// Outline of the arcball, facing the camera
+function drawArcball(view) {
+  const model = mat4.create();
+  const viewRotation = mat4.clone(view);
+  viewRotation[12] = viewRotation[13] = viewRotation[14] = 0;
+  mat4.transpose(model, viewRotation);
+  mat4.scale(model, model, [ARCBALL_RADIUS, ARCBALL_RADIUS, ARCBALL_RADIUS]);
+  gl.bindBuffer(gl.ARRAY_BUFFER, circleBuffer);
+  gl.vertexAttribPointer(program.aPosition, 3, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(program.aPosition);
+
+  gl.uniformMatrix4fv(uModel, false, model);
+  gl.uniform4fv(program.uColor, [0.5, 0.5, 0.5, gizmoDrag ? 1.0 : 0.6]);
+  gl.drawArrays(gl.LINE_LOOP, 0, circleBuffer.numItems);
+}
+
 function render() {
   gl.enable(gl.BLEND);
   gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
@@ -359,10 +857,14 @@ function render() {
   gl.enable(gl.DEPTH_TEST);
   gl.enable(gl.CULL_FACE);
   gl.cullFace(gl.BACK);
+  // the mirrored view of left-handed axes reverses the winding of faces
+  gl.frontFace(handedness === "left" ? gl.CW : gl.CCW);
 
-  // slerp animation toward targetQ
+  // slerp animation toward targetQ, or through the steps of the sequence
   const tStep = 0.02;
-  if (quat.getAngle(rotationQ, targetQ) > 0.001) {
+  if (sequence && !gizmoDrag) {
+    advanceSequence(tStep);
+  } else if (quat.getAngle(rotationQ, targetQ) > 0.001) {
     quat.slerp(rotationQ, rotationQ, targetQ, tStep);
   }
   mat4.fromQuat(rotationMatrix, rotationQ);
@@ -373,6 +875,10 @@ function render() {
   gl.uniformMatrix4fv(uView, false, view);
   gl.uniformMatrix4fv(uProj, false, projMatrix);
 
+  if (model) {
+    drawModel(view);
+  }
+
   // Identity planes
   drawPlane([1.0, 0.0, 0.0, 0.3], "YZ"); // r
   drawPlane([0.0, 1.0, 0.0, 0.3], "XZ"); // g
@@ -383,10 +889,31 @@ function render() {
   drawAxisWithArrow([0.2, 0.7, 0.2], 1, mat4.create()); // g
   drawAxisWithArrow([0.2, 0.2, 0.7], 2, mat4.create()); // b
 
+  // Frames the sequence has passed
+  if (sequence && !gizmoDrag) {
+    for (let k = 1; k < sequence.step; k++) {
+      drawGhostFrame(sequence.frames[k]);
+    }
+  }
+
+  if (interpolationPath) {
+    drawInterpolationPath();
+  }
+  if (comparisonQ) {
+    drawGhostFrame(comparisonQ);
+  }
+
   // Rotated axes
   drawAxisWithArrow([1, 0, 0], 0, rotationMatrix);
   drawAxisWithArrow([0, 1, 0], 1, rotationMatrix);
   drawAxisWithArrow([0, 0, 1], 2, rotationMatrix);
 
+  if (axisAngleVisible) {
+    drawAxisAngle();
+  }
+  if (gizmoEnabled) {
+    drawArcball(view);
+  }
+
   requestAnimationFrame(render);
 }